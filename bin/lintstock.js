@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+const { runCli } = require('../scripts/cli');
+const commands = require('../scripts/commands');
+
+runCli(commands, process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+});
@@ -0,0 +1,409 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const express = require('express');
+const {
+  SpreadsheetSchema,
+  compileCompaniesSummary,
+  compileQuestionsSummary,
+  getYear,
+} = require('./spreadsheet-to-json');
+const { isIndexFile, readProcessedReports } = require('./report-index');
+const { computeReportStats, summariseResponses } = require('./report-stats');
+const { queryResponses } = require('./report-query');
+
+// Read-only JSON API over the processed reports, mounted at /api by
+// `lintstock serve`. GET /api describes every endpoint and its parameters.
+//
+// List endpoints are paginated with `page` (from 1) and `per_page` (up to
+// MAX_PER_PAGE) and answer { data: [...], pagination: { page, per_page,
+// total, total_pages } }. Errors answer { error } with a 400 or 404 status.
+
+const DEFAULT_PER_PAGE = 50;
+const MAX_PER_PAGE = 500;
+const MAX_TEXT_LENGTH = 200;
+
+const FILTERS = {
+  client: 'Client names, comma-separated (exact, case-insensitive)',
+  year: 'Review years, comma-separated',
+  report: 'Report names, comma-separated (exact, case-insensitive)',
+  question: 'Question numbers, comma-separated',
+  question_id: 'Stable question IDs, comma-separated',
+  text: 'Text found in the question or sub-question text (case-insensitive)',
+  respondent: 'Respondent names containing any of these, comma-separated',
+  position: 'Positions containing any of these, comma-separated',
+  min_score: 'Lowest score to include',
+  max_score: 'Highest score to include',
+  has_comment: 'true: only responses with a comment',
+  has_skip_reason: 'true: only responses with a skip reason',
+};
+
+const GROUP_DIMENSIONS = {
+  client: ['client_name'],
+  year: ['year'],
+  report: ['report_name'],
+  question: ['question_id', 'question_number', 'question_text'],
+  sub_question: ['sub_question_text'],
+  position: ['position'],
+  respondent: ['respondent'],
+};
+
+const pick = (names) => Object.fromEntries(names.map((name) => [name, FILTERS[name]]));
+
+const ENDPOINTS = [
+  { path: '/api/clients', description: 'Clients with their respondents, review years and source files', params: {} },
+  { path: '/api/clients/:name', description: 'One client', params: {} },
+  { path: '/api/years', description: 'Review years with the clients reviewed in each', params: {} },
+  {
+    path: '/api/reports',
+    description: 'Reports in each review, with score statistics',
+    params: pick(['client', 'year', 'report']),
+  },
+  {
+    path: '/api/questions',
+    description: 'Questions in each report, with score statistics and sub-questions',
+    params: pick(['client', 'year', 'report', 'question', 'question_id', 'text']),
+  },
+  {
+    path: '/api/question-index',
+    description: 'Every distinct question across reviews, with the years and files it appears in',
+    params: pick(['question_id', 'text']),
+  },
+  {
+    path: '/api/respondents',
+    description: 'Respondents in each review, with their position and number of responses',
+    params: pick(['client', 'year', 'respondent', 'position']),
+  },
+  { path: '/api/responses', description: 'Individual responses, one per row', params: FILTERS },
+  {
+    path: '/api/scores',
+    description:
+      'Score statistics for the responses matching the filters, grouped. Compare normalised_mean (0-1) across groups; raw score figures are null for groups that mix scales',
+    params: {
+      ...FILTERS,
+      group_by: `Comma-separated: ${Object.keys(GROUP_DIMENSIONS).join(', ')} (default: client,year,report)`,
+    },
+  },
+];
+
+class ApiError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+// --- Parameters ---
+
+function listParam(query, name) {
+  const value = query[name];
+  if (value === undefined || value === '') return undefined;
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((item) => String(item).split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function numberParam(query, name) {
+  if (query[name] === undefined || query[name] === '') return undefined;
+  const value = Number(query[name]);
+  if (Number.isNaN(value)) throw new ApiError(`${name} must be a number`);
+  return value;
+}
+
+function booleanParam(query, name) {
+  const value = query[name];
+  if (value === undefined || value === '' || value === 'false') return false;
+  if (value === 'true' || value === '1') return true;
+  throw new ApiError(`${name} must be true or false`);
+}
+
+// The server can be reached by others, so `text` is matched as plain text
+// rather than compiled as a pattern, which could take forever to run.
+function textParam(query) {
+  if (query.text === undefined || query.text === '') return undefined;
+  const text = String(query.text);
+  if (text.length > MAX_TEXT_LENGTH) throw new ApiError(`text must be at most ${MAX_TEXT_LENGTH} characters`);
+  return new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+}
+
+function parseFilters(query) {
+  const questions = listParam(query, 'question')?.map(Number);
+  if (questions?.some(Number.isNaN)) throw new ApiError('question must be question numbers');
+  return {
+    clients: listParam(query, 'client'),
+    years: listParam(query, 'year'),
+    reports: listParam(query, 'report'),
+    questions,
+    questionIds: listParam(query, 'question_id'),
+    text: textParam(query),
+    respondents: listParam(query, 'respondent'),
+    positions: listParam(query, 'position'),
+    minScore: numberParam(query, 'min_score'),
+    maxScore: numberParam(query, 'max_score'),
+    hasComment: booleanParam(query, 'has_comment'),
+    hasSkipReason: booleanParam(query, 'has_skip_reason'),
+  };
+}
+
+function paginate(items, query) {
+  const page = numberParam(query, 'page') ?? 1;
+  const perPage = numberParam(query, 'per_page') ?? DEFAULT_PER_PAGE;
+  if (!Number.isInteger(page) || page < 1) throw new ApiError('page must be a whole number from 1');
+  if (!Number.isInteger(perPage) || perPage < 1 || perPage > MAX_PER_PAGE) {
+    throw new ApiError(`per_page must be a whole number from 1 to ${MAX_PER_PAGE}`);
+  }
+  return {
+    data: items.slice((page - 1) * perPage, page * perPage),
+    pagination: { page, per_page: perPage, total: items.length, total_pages: Math.ceil(items.length / perPage) },
+  };
+}
+
+// --- Data ---
+
+const equalsAny = (values, value) =>
+  !values || values.some((v) => v.toLowerCase() === String(value).toLowerCase());
+
+function filterWorkbooks(workbooks, { clients, years }) {
+  return workbooks.filter((wb) => equalsAny(clients, wb.client_name) && equalsAny(years, getYear(wb.created_date)));
+}
+
+// Processed workbooks, validated against SpreadsheetSchema. They are re-read
+// only when a file in the reports directory changes.
+function createWorkbookStore(reportsDir) {
+  let signature = null;
+  let cached = { workbooks: [], invalid: [] };
+
+  return () => {
+    const files = fs.existsSync(reportsDir)
+      ? fs.readdirSync(reportsDir).filter((file) => file.endsWith('.json') && !isIndexFile(file))
+      : [];
+    const current = files.map((file) => `${file}:${fs.statSync(path.join(reportsDir, file)).mtimeMs}`).join('|');
+    if (current !== signature) {
+      const workbooks = [];
+      const invalid = [];
+      for (const workbook of readProcessedReports(reportsDir)) {
+        const { source, ...data } = workbook;
+        if (SpreadsheetSchema.safeParse(data).success) workbooks.push(workbook);
+        else invalid.push(source);
+      }
+      cached = { workbooks, invalid };
+      signature = current;
+    }
+    return cached;
+  };
+}
+
+function describeReports(workbooks, filters) {
+  return workbooks.flatMap((wb) =>
+    wb.reports
+      .filter((report) => equalsAny(filters.reports, report.report_name))
+      .map((report) => {
+        const { questions, ...stats } = computeReportStats(report);
+        return {
+          client_name: wb.client_name,
+          year: getYear(wb.created_date),
+          created_date: wb.created_date,
+          source: wb.source,
+          ...stats,
+          question_count: questions.length,
+        };
+      })
+  );
+}
+
+function describeQuestions(workbooks, filters) {
+  const { questions: numbers, questionIds, text } = filters;
+  return workbooks.flatMap((wb) =>
+    wb.reports
+      .filter((report) => equalsAny(filters.reports, report.report_name))
+      .flatMap((report) => {
+        const ids = new Map(report.questions.map((q) => [`${q.question_number}|${q.question_text}`, q.question_id]));
+        return computeReportStats(report).questions.map((q) => ({
+          client_name: wb.client_name,
+          year: getYear(wb.created_date),
+          created_date: wb.created_date,
+          source: wb.source,
+          report_name: report.report_name,
+          question_id: ids.get(`${q.question_number}|${q.question_text}`) ?? null,
+          ...q,
+        }));
+      })
+      .filter(
+        (q) =>
+          (!numbers || numbers.includes(q.question_number)) &&
+          equalsAny(questionIds, q.question_id) &&
+          (!text || text.test(q.question_text) || q.sub_questions.some((sub) => text.test(sub.sub_question_text)))
+      )
+  );
+}
+
+function describeRespondents(workbooks, filters) {
+  const contains = (values, value) =>
+    !values || (value && values.some((v) => value.toLowerCase().includes(v.toLowerCase())));
+  return workbooks.flatMap((wb) => {
+    const responses = wb.reports.flatMap((r) => r.questions.flatMap((q) => q.responses));
+    return wb.respondees
+      .filter((r) => contains(filters.respondents, r.name) && contains(filters.positions, r.position))
+      .map((r) => {
+        const own = responses.filter((response) => response.respondent === r.name);
+        return {
+          client_name: wb.client_name,
+          year: getYear(wb.created_date),
+          source: wb.source,
+          name: r.name,
+          respondent_id: r.respondent_id ?? null,
+          position: r.position ?? null,
+          responses: own.length,
+          comments: own.filter((response) => response.comment).length,
+          skipped: own.filter((response) => response.skip_reason).length,
+        };
+      });
+  });
+}
+
+function matchingResponses(workbooks, filters) {
+  return queryResponses(workbooks, filters).filter((row) => equalsAny(filters.questionIds, row.question_id));
+}
+
+function aggregateScores(rows, groupBy) {
+  const fields = groupBy.flatMap((dimension) => GROUP_DIMENSIONS[dimension]);
+  const groups = new Map();
+  for (const row of rows) {
+    const key = JSON.stringify(fields.map((field) => row[field]));
+    if (!groups.has(key)) groups.set(key, { group: Object.fromEntries(fields.map((f) => [f, row[f]])), rows: [] });
+    groups.get(key).rows.push(row);
+  }
+  return Array.from(groups.values()).map(({ group, rows: groupRows }) => {
+    // Raw score figures mean nothing across questions on different scales;
+    // normalised_mean is always given.
+    const scales = new Set(groupRows.filter((row) => row.score !== null).map((row) => row.scale));
+    const { distribution, ...stats } = summariseResponses(groupRows);
+    if (scales.size <= 1) return { ...group, ...stats, distribution, mixed_scales: false };
+    const raw = { mean: null, median: null, std_dev: null, min: null, max: null };
+    return { ...group, ...stats, ...raw, distribution: [], mixed_scales: true };
+  });
+}
+
+// --- Router ---
+
+function createApiRouter(reportsDir) {
+  const router = express.Router();
+  const loadWorkbooks = createWorkbookStore(reportsDir);
+
+  // Wraps a handler so ApiErrors become JSON error responses.
+  const handle = (fn) => (req, res, next) => {
+    try {
+      res.json(fn(req));
+    } catch (err) {
+      if (err instanceof ApiError) res.status(err.status).json({ error: err.message });
+      else next(err);
+    }
+  };
+
+  router.get(
+    '/',
+    handle(() => ({
+      description: 'Read-only API over the processed reports in context/reports.',
+      pagination: {
+        page: 'Page number, from 1 (default 1)',
+        per_page: `Items per page, up to ${MAX_PER_PAGE} (default ${DEFAULT_PER_PAGE})`,
+      },
+      endpoints: ENDPOINTS,
+      invalid_files: loadWorkbooks().invalid,
+    }))
+  );
+
+  router.get(
+    '/clients',
+    handle((req) => paginate(compileCompaniesSummary(loadWorkbooks().workbooks), req.query))
+  );
+
+  router.get(
+    '/clients/:name',
+    handle((req) => {
+      const name = req.params.name.toLowerCase();
+      const client = compileCompaniesSummary(loadWorkbooks().workbooks).find((c) => c.name.toLowerCase() === name);
+      if (!client) throw new ApiError(`No client named ${req.params.name}`, 404);
+      return client;
+    })
+  );
+
+  router.get(
+    '/years',
+    handle((req) => {
+      const years = new Map();
+      for (const wb of loadWorkbooks().workbooks) {
+        const year = getYear(wb.created_date);
+        if (!years.has(year)) years.set(year, { year, clients: new Set(), sources: [] });
+        years.get(year).clients.add(wb.client_name);
+        years.get(year).sources.push(wb.source);
+      }
+      const list = Array.from(years.values())
+        .sort((a, b) => a.year.localeCompare(b.year))
+        .map((y) => ({ ...y, clients: Array.from(y.clients).sort() }));
+      return paginate(list, req.query);
+    })
+  );
+
+  router.get(
+    '/reports',
+    handle((req) => {
+      const filters = parseFilters(req.query);
+      return paginate(describeReports(filterWorkbooks(loadWorkbooks().workbooks, filters), filters), req.query);
+    })
+  );
+
+  router.get(
+    '/questions',
+    handle((req) => {
+      const filters = parseFilters(req.query);
+      return paginate(describeQuestions(filterWorkbooks(loadWorkbooks().workbooks, filters), filters), req.query);
+    })
+  );
+
+  router.get(
+    '/question-index',
+    handle((req) => {
+      const { questionIds, text } = parseFilters(req.query);
+      const questions = compileQuestionsSummary(loadWorkbooks().workbooks).filter(
+        (q) => equalsAny(questionIds, q.question_id) && (!text || text.test(q.question))
+      );
+      return paginate(questions, req.query);
+    })
+  );
+
+  router.get(
+    '/respondents',
+    handle((req) => {
+      const filters = parseFilters(req.query);
+      return paginate(describeRespondents(filterWorkbooks(loadWorkbooks().workbooks, filters), filters), req.query);
+    })
+  );
+
+  router.get(
+    '/responses',
+    handle((req) => paginate(matchingResponses(loadWorkbooks().workbooks, parseFilters(req.query)), req.query))
+  );
+
+  router.get(
+    '/scores',
+    handle((req) => {
+      const groupBy = listParam(req.query, 'group_by') || ['client', 'year', 'report'];
+      const unknown = groupBy.find((dimension) => !GROUP_DIMENSIONS[dimension]);
+      if (unknown) {
+        throw new ApiError(`Cannot group by ${unknown}. Use any of: ${Object.keys(GROUP_DIMENSIONS).join(', ')}`);
+      }
+      const rows = matchingResponses(loadWorkbooks().workbooks, parseFilters(req.query));
+      return paginate(aggregateScores(rows, groupBy), req.query);
+    })
+  );
+
+  router.use((req, res) => {
+    res.status(404).json({ error: `Unknown endpoint ${req.originalUrl}. See /api for the list.` });
+  });
+
+  return router;
+}
+
+module.exports = { ENDPOINTS, createApiRouter };
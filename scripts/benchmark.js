@@ -0,0 +1,57 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { CliError, EXIT_CODES } = require('./cli');
+const { readProcessedReports } = require('./report-index');
+const { MIN_PEERS_FLOOR, parseYears, benchmarkClient, formatText, formatMarkdown } = require('./report-benchmark');
+
+// Runs `lintstock benchmark`.
+// Example (latest review year): lintstock benchmark --client "Acme plc"
+// Example (a range of years as Markdown): lintstock benchmark --client "Acme plc" --years 2023-2025 --format markdown --out output/acme-benchmark.md
+
+function runBenchmark(options, positionals, ctx) {
+  if (!options.client) {
+    throw new CliError('--client must be provided.', EXIT_CODES.USAGE);
+  }
+  if (!Number.isInteger(options['min-peers']) || options['min-peers'] < MIN_PEERS_FLOOR) {
+    throw new CliError(
+      `--min-peers must be a whole number of at least ${MIN_PEERS_FLOOR} to keep peers anonymous.`,
+      EXIT_CODES.USAGE
+    );
+  }
+
+  let years;
+  try {
+    years = parseYears(options.years || []);
+  } catch (err) {
+    throw new CliError(`--years: ${err.message}.`, EXIT_CODES.USAGE);
+  }
+
+  let result;
+  try {
+    result = benchmarkClient(readProcessedReports(options.indir), options.client, {
+      years,
+      minPeers: options['min-peers'],
+    });
+  } catch (err) {
+    throw new CliError(`Error benchmarking ${options.client}: ${err.message}`);
+  }
+  if (result.suppressed > 0) {
+    ctx.warn(`${result.suppressed} benchmark(s) suppressed: fewer than ${result.min_peers} peers answered.`);
+  }
+
+  let output;
+  if (options.format === 'json') output = JSON.stringify(result, null, 2);
+  else if (options.format === 'markdown') output = formatMarkdown(result);
+  else output = formatText(result);
+
+  if (options.out) {
+    fs.mkdirSync(path.dirname(options.out), { recursive: true });
+    fs.writeFileSync(options.out, output);
+    ctx.success(`Wrote benchmark to ${options.out}`);
+  } else {
+    ctx.print(output);
+  }
+  return result;
+}
+
+module.exports = { runBenchmark };
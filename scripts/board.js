@@ -0,0 +1,39 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { getYear } = require('./spreadsheet-to-json');
+const { readProcessedReports } = require('./report-index');
+const { compileBoardHistory, formatText, formatMarkdown } = require('./report-board');
+
+// Runs `lintstock board`.
+// Example (every client): lintstock board
+// Example (one client as Markdown): lintstock board --client "Acme plc" --format markdown --out output/acme-board.md
+
+const matchesAny = (values, value) =>
+  !values || values.length === 0 || values.some((v) => String(v).toLowerCase() === String(value).toLowerCase());
+
+function runBoard(options, positionals, ctx) {
+  const workbooks = readProcessedReports(options.indir).filter(
+    (wb) => matchesAny(options.client, wb.client_name.trim()) && matchesAny(options.years, getYear(wb.created_date))
+  );
+  if (workbooks.length === 0) {
+    ctx.warn('No processed reports found. Run `lintstock build reports` first, or check --client and --years.');
+    return [];
+  }
+
+  const history = compileBoardHistory(workbooks);
+  let output;
+  if (options.format === 'json') output = JSON.stringify(history, null, 2);
+  else if (options.format === 'markdown') output = formatMarkdown(history);
+  else output = formatText(history);
+
+  if (options.out) {
+    fs.mkdirSync(path.dirname(options.out), { recursive: true });
+    fs.writeFileSync(options.out, output);
+    ctx.success(`Wrote board composition to ${options.out}`);
+  } else {
+    ctx.print(output);
+  }
+  return history;
+}
+
+module.exports = { runBoard };
@@ -0,0 +1,109 @@
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+// Build manifest for incremental builds. It lives in the output directory as
+// _manifest.json and records, for each source file, a fingerprint made of the
+// source's content hash, the converter version and the build options, plus
+// the outputs it produced:
+//
+// { "version": 1, "entries": { "data/reports/acme.xlsx": { "hash": "…", "converter": "…", "options": "…", "outputs": ["acme.json"], "built_at": "…" } } }
+//
+// A source is rebuilt when any part of its fingerprint changes. Entries whose
+// source has been deleted are pruned along with their outputs.
+
+const MANIFEST_FILE = '_manifest.json';
+const MANIFEST_VERSION = 1;
+
+function hashContent(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) {
+    hash.update(typeof part === 'string' || Buffer.isBuffer(part) ? part : JSON.stringify(part ?? null));
+    hash.update('\0');
+  }
+  return hash.digest('hex');
+}
+
+// Hashes the given files, ignoring any that do not exist.
+function hashFiles(filePaths) {
+  return hashContent(...filePaths.map((filePath) => (fs.existsSync(filePath) ? fs.readFileSync(filePath) : '')));
+}
+
+class BuildManifest {
+  constructor(outDir) {
+    this.outDir = outDir;
+    this.filePath = path.join(outDir, MANIFEST_FILE);
+    this.entries = {};
+    if (fs.existsSync(this.filePath)) {
+      try {
+        const json = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        if (json.version === MANIFEST_VERSION) this.entries = json.entries || {};
+      } catch {
+        // A corrupt manifest just means a full rebuild.
+      }
+    }
+  }
+
+  static key(sourcePath) {
+    return path.relative(process.cwd(), path.resolve(sourcePath));
+  }
+
+  get(sourcePath) {
+    return this.entries[BuildManifest.key(sourcePath)];
+  }
+
+  // True when the source was built with the same fingerprint and all of its
+  // outputs still exist.
+  isUpToDate(sourcePath, fingerprint) {
+    const entry = this.get(sourcePath);
+    if (!entry) return false;
+    const { hash, converter, options } = fingerprint;
+    if (entry.hash !== hash || entry.converter !== converter || entry.options !== options) return false;
+    return entry.outputs.every((output) => fs.existsSync(path.join(this.outDir, output)));
+  }
+
+  // `outputs` are file names relative to the output directory. `extra` is
+  // stored with the entry, e.g. validation issues to report on skipped builds.
+  record(sourcePath, fingerprint, outputs, extra = {}) {
+    this.entries[BuildManifest.key(sourcePath)] = {
+      ...fingerprint,
+      outputs,
+      ...extra,
+      built_at: new Date().toISOString(),
+    };
+  }
+
+  remove(sourcePath) {
+    delete this.entries[BuildManifest.key(sourcePath)];
+  }
+
+  // Deletes the outputs of sources that no longer exist. Returns the removed
+  // output paths.
+  prune() {
+    const removed = [];
+    for (const [source, entry] of Object.entries(this.entries)) {
+      if (fs.existsSync(source)) continue;
+      for (const output of entry.outputs) {
+        const outputPath = path.join(this.outDir, output);
+        if (fs.existsSync(outputPath)) {
+          fs.rmSync(outputPath);
+          removed.push(outputPath);
+        }
+      }
+      delete this.entries[source];
+    }
+    return removed;
+  }
+
+  save() {
+    const json = { version: MANIFEST_VERSION, entries: this.entries };
+    fs.writeFileSync(this.filePath, JSON.stringify(json, null, 2));
+  }
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  hashContent,
+  hashFiles,
+  BuildManifest,
+};
@@ -0,0 +1,231 @@
+const { parseArgs } = require('node:util');
+const chalk = require('chalk');
+const cliProgress = require('cli-progress');
+const { DEFAULT_CONFIG_FILE, loadConfig } = require('./config');
+
+// Shared plumbing for the `lintstock` command: option parsing, help output,
+// config loading, output modes and exit codes.
+//
+// A command is described as:
+// {
+//   name: 'build reports',
+//   summary: 'One line for the command list',
+//   usage: '[files...]',
+//   options: { outdir: { type: 'string', default: 'context/reports', description: '…' } },
+//   examples: ['lintstock build reports --strict'],
+//   run: async (options, positionals, ctx) => result,
+// }
+//
+// A command signals failure by throwing a CliError, or by setting
+// ctx.exitCode when it still has output to show.
+//
+// Option types are 'string', 'boolean', 'number' and 'list' (comma-separated).
+// Defaults can be overridden per command in lintstock.config.json:
+// { "commands": { "stats": { "format": "markdown" } } }
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,
+  USAGE: 2,
+};
+
+class CliError extends Error {
+  constructor(message, exitCode = EXIT_CODES.FAILURE) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+const GLOBAL_OPTIONS = {
+  help: { type: 'boolean', short: 'h', description: 'Show help for a command' },
+  quiet: { type: 'boolean', short: 'q', description: 'Only print errors' },
+  json: { type: 'boolean', description: 'Print the result as JSON' },
+  config: { type: 'string', default: DEFAULT_CONFIG_FILE, description: 'Config file' },
+};
+
+// Output helpers handed to every command. In quiet and JSON modes only errors
+// are printed, so stdout stays clean for the JSON result.
+function createContext({ quiet = false, json = false, config = loadConfig() } = {}) {
+  const silent = quiet || json;
+  return {
+    config,
+    quiet,
+    json,
+    exitCode: EXIT_CODES.OK,
+    info: (...args) => !silent && console.log(chalk.blue(...args)),
+    success: (...args) => !silent && console.log(chalk.green(...args)),
+    warn: (...args) => !silent && console.log(chalk.yellow(...args)),
+    error: (...args) => console.error(chalk.red(...args)),
+    // Plain output, e.g. a formatted report.
+    print: (...args) => !silent && console.log(...args),
+    progress(total) {
+      if (silent || !process.stdout.isTTY) {
+        return { start() {}, update() {}, increment() {}, stop() {} };
+      }
+      const bar = new cliProgress.SingleBar({
+        format: `${chalk.cyan('{bar}')} | {percentage}% | {value}/{total} | {filename}`,
+        barCompleteChar: '█',
+        barIncompleteChar: '░',
+        hideCursor: true,
+      });
+      return {
+        start: () => bar.start(total, 0, { filename: 'N/A' }),
+        update: (payload) => bar.update(payload),
+        increment: () => bar.increment(),
+        stop: () => bar.stop(),
+      };
+    },
+  };
+}
+
+function toParseArgsOptions(options) {
+  return Object.fromEntries(
+    Object.entries(options).map(([name, spec]) => {
+      const option = { type: spec.type === 'boolean' ? 'boolean' : 'string' };
+      if (spec.short) option.short = spec.short;
+      return [name, option];
+    })
+  );
+}
+
+function coerceOption(name, spec, value) {
+  if (value === undefined || value === null) return value;
+  if (spec.type === 'number') {
+    const parsed = Number(value);
+    if (Number.isNaN(parsed)) throw new CliError(`--${name} must be a number`, EXIT_CODES.USAGE);
+    return parsed;
+  }
+  if (spec.type === 'list') {
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const items = list.map((item) => String(item).trim()).filter(Boolean);
+    const invalid = spec.choices && items.find((item) => !spec.choices.includes(item));
+    if (invalid) throw new CliError(`--${name} values must be among: ${spec.choices.join(', ')}`, EXIT_CODES.USAGE);
+    return items;
+  }
+  if (spec.choices && !spec.choices.includes(value)) {
+    throw new CliError(`--${name} must be one of: ${spec.choices.join(', ')}`, EXIT_CODES.USAGE);
+  }
+  return value;
+}
+
+// Parses `argv` for `command`. Precedence: command line, then the command's
+// defaults in the config file, then the option's own default.
+function parseCommandArgs(command, argv, config = {}) {
+  const specs = { ...command.options, ...GLOBAL_OPTIONS };
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: toParseArgsOptions(specs), allowPositionals: true, strict: true });
+  } catch (err) {
+    throw new CliError(err.message, EXIT_CODES.USAGE);
+  }
+  const configDefaults = config.commands?.[command.name] || {};
+  const options = {};
+  for (const [name, spec] of Object.entries(specs)) {
+    const value = parsed.values[name] ?? configDefaults[name] ?? spec.default;
+    options[name] = coerceOption(name, spec, value);
+  }
+  return { options, positionals: parsed.positionals };
+}
+
+function formatOptions(options) {
+  return Object.entries(options).map(([name, spec]) => {
+    const short = spec.short ? `-${spec.short}, ` : '    ';
+    const value = spec.type === 'boolean' ? '' : ` <${spec.type === 'list' ? 'a,b' : spec.type}>`;
+    const defaultText = spec.default !== undefined && spec.type !== 'boolean' ? ` (default: ${spec.default})` : '';
+    return `  ${`${short}--${name}${value}`.padEnd(30)} ${spec.description || ''}${defaultText}`;
+  });
+}
+
+function formatCommandHelp(command, binName) {
+  const usage = [binName, command.name, command.options && '[options]', command.usage].filter(Boolean).join(' ');
+  const lines = [`Usage: ${usage}`, '', command.summary, ''];
+  if (command.options && Object.keys(command.options).length > 0) {
+    lines.push('Options:', ...formatOptions(command.options), '');
+  }
+  lines.push('Global options:', ...formatOptions(GLOBAL_OPTIONS));
+  if (command.examples) {
+    lines.push('', 'Examples:', ...command.examples.map((example) => `  ${example}`));
+  }
+  return lines.join('\n');
+}
+
+function formatGeneralHelp(commands, binName) {
+  const width = Math.max(...commands.map((c) => c.name.length));
+  return [
+    `Usage: ${binName} <command> [options]`,
+    '',
+    'Commands:',
+    ...commands.map((c) => `  ${c.name.padEnd(width)}  ${c.summary}`),
+    '',
+    'Global options:',
+    ...formatOptions(GLOBAL_OPTIONS),
+    '',
+    `Run "${binName} <command> --help" for the options of a command.`,
+  ].join('\n');
+}
+
+// Finds the longest command name matching the leading words of `argv`.
+function findCommand(commands, argv) {
+  let match = null;
+  for (const command of commands) {
+    const words = command.name.split(' ');
+    const matches = words.every((word, i) => argv[i] === word);
+    if (matches && (!match || words.length > match.name.split(' ').length)) match = command;
+  }
+  return match;
+}
+
+async function runCli(commands, argv, { binName = 'lintstock' } = {}) {
+  const command = findCommand(commands, argv);
+  if (!command) {
+    const wantsHelp = argv.length === 0 || ['-h', '--help', 'help'].includes(argv[0]);
+    if (wantsHelp) {
+      console.log(formatGeneralHelp(commands, binName));
+      return EXIT_CODES.OK;
+    }
+    const group = commands.filter((c) => c.name.startsWith(`${argv[0]} `));
+    if (group.length > 0) {
+      console.error(chalk.red(`Choose one of: ${group.map((c) => c.name).join(', ')}`));
+    } else {
+      console.error(chalk.red(`Unknown command "${argv[0]}". Run "${binName} --help" for a list of commands.`));
+    }
+    return EXIT_CODES.USAGE;
+  }
+
+  const args = argv.slice(command.name.split(' ').length);
+  try {
+    // The config file is read before the full parse so it can supply defaults.
+    const preliminary = parseArgs({ args, options: toParseArgsOptions(GLOBAL_OPTIONS), strict: false });
+    const config = loadConfig(preliminary.values.config || DEFAULT_CONFIG_FILE);
+    const { options, positionals } = parseCommandArgs(command, args, config);
+    if (options.help) {
+      console.log(formatCommandHelp(command, binName));
+      return EXIT_CODES.OK;
+    }
+    const ctx = createContext({ quiet: options.quiet, json: options.json, config });
+    const result = await command.run(options, positionals, ctx);
+    if (options.json && result !== undefined) {
+      console.log(JSON.stringify(result, null, 2));
+    }
+    return ctx.exitCode;
+  } catch (err) {
+    if (err instanceof CliError) {
+      console.error(chalk.red(err.message));
+      return err.exitCode;
+    }
+    console.error(chalk.red('An unexpected error occurred:'), err);
+    return EXIT_CODES.FAILURE;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  CliError,
+  GLOBAL_OPTIONS,
+  createContext,
+  parseCommandArgs,
+  formatCommandHelp,
+  formatGeneralHelp,
+  runCli,
+};
@@ -0,0 +1,378 @@
+const { CliError, EXIT_CODES, parseCommandArgs } = require('./cli');
+const { DEFAULT_ALIAS_FILE, DEFAULT_SIMILARITY_THRESHOLD } = require('./question-identity');
+const { DEFAULT_KEY_FILE } = require('./pseudonymise');
+const { DEFAULT_RESPONDENT_ALIAS_FILE } = require('./respondent-identity');
+
+// The commands of the `lintstock` binary. Each command's module is only
+// required when it runs, so `--help` stays fast.
+
+const FORMATS = ['text', 'json', 'markdown'];
+
+const PDF_SOURCES = {
+  surveys: { input: 'data/surveys', output: 'context/surveys' },
+  proposals: { input: 'data/proposals', output: 'context/proposals' },
+};
+
+function pdfCommand(name, extraOptions = {}) {
+  const { input, output } = PDF_SOURCES[name];
+  const questions = name === 'surveys';
+  return {
+    name: `build ${name}`,
+    summary: `Convert ${name.slice(0, -1)} PDFs into Markdown context files`,
+    usage: '[files...]',
+    options: {
+      'input-dir': { type: 'string', default: input, description: 'Directory to read PDFs from' },
+      'output-dir': { type: 'string', default: output, description: 'Directory to write Markdown files to' },
+      force: { type: 'boolean', description: 'Convert every PDF, even if unchanged since the last build' },
+      ...extraOptions,
+    },
+    examples: [`lintstock build ${name}`, `lintstock build ${name} --force`],
+    run: (options, files, ctx) => require('./pdf-to-markdown').buildPdfs({ ...options, questions }, files, ctx),
+  };
+}
+
+const buildReports = {
+  name: 'build reports',
+  summary: 'Convert report spreadsheets into JSON context files',
+  usage: '[files...]',
+  options: {
+    outdir: { type: 'string', default: 'context/reports', description: 'Directory to write JSON files to' },
+    question: { type: 'number', description: 'Only keep this question number' },
+    aliases: { type: 'string', default: DEFAULT_ALIAS_FILE, description: 'Question alias file' },
+    similarity: {
+      type: 'number',
+      default: DEFAULT_SIMILARITY_THRESHOLD,
+      description: 'Similarity needed to treat reworded questions as the same',
+    },
+    'respondent-aliases': {
+      type: 'string',
+      default: DEFAULT_RESPONDENT_ALIAS_FILE,
+      description: 'Respondent alias file',
+    },
+    merge: { type: 'boolean', description: 'Merge workbooks with the same client and review date into one file' },
+    pseudonymise: { type: 'boolean', description: 'Replace respondent names with codes' },
+    'key-file': { type: 'string', default: DEFAULT_KEY_FILE, description: 'Pseudonym key file' },
+    'resolve-headers': { type: 'boolean', description: 'Map unknown column headers interactively' },
+    strict: { type: 'boolean', description: 'Fail on any validation warning' },
+    force: { type: 'boolean', description: 'Rebuild every file, ignoring the build manifest' },
+  },
+  examples: [
+    'lintstock build reports',
+    'lintstock build reports data/reports/file1.xlsx data/reports/file2.xlsx',
+    'lintstock build reports --question 4 --outdir ./output data/reports/some-file.xlsx',
+    'lintstock build reports --strict',
+    'lintstock build reports --pseudonymise',
+    'lintstock build reports --merge',
+    'lintstock build reports --aliases data/question-aliases.json --similarity 0.9',
+  ],
+  run: (options, files, ctx) => require('./prepare').buildReports(options, files, ctx),
+};
+
+// Surveys also get structured question files, cross-checked against the reports.
+const buildSurveys = pdfCommand('surveys', {
+  'reports-dir': {
+    type: 'string',
+    default: 'context/reports',
+    description: 'Processed reports to cross-check survey questions against',
+  },
+});
+const buildProposals = pdfCommand('proposals');
+
+// Runs every build in turn, passing each its own defaults. Stops at the first
+// build that fails outright; builds with per-file errors still let the rest run.
+const buildAll = {
+  name: 'build all',
+  summary: 'Build reports, proposals and surveys',
+  options: {
+    force: { type: 'boolean', description: 'Rebuild everything, ignoring the build manifests' },
+    strict: { type: 'boolean', description: 'Fail on any report validation warning' },
+  },
+  async run(options, positionals, ctx) {
+    if (positionals.length > 0) {
+      throw new CliError('build all does not take file arguments', EXIT_CODES.USAGE);
+    }
+    const results = {};
+    for (const command of [buildReports, buildProposals, buildSurveys]) {
+      const args = [];
+      if (options.force) args.push('--force');
+      if (options.strict && command === buildReports) args.push('--strict');
+      const parsed = parseCommandArgs(command, args, ctx.config);
+      ctx.info(`\n== ${command.name} ==`);
+      results[command.name.split(' ')[1]] = await command.run(parsed.options, [], ctx);
+    }
+    return results;
+  },
+};
+
+const serve = {
+  name: 'serve',
+  summary: 'Browse generated files in output/ with live reload',
+  options: {
+    port: { type: 'number', default: 3000, description: 'Port to listen on' },
+    host: {
+      type: 'string',
+      default: '127.0.0.1',
+      description: 'Address to listen on (0.0.0.0 to share on the network)',
+    },
+    'output-dir': { type: 'string', default: 'output', description: 'Directory of generated files to browse' },
+    'reports-dir': {
+      type: 'string',
+      default: 'context/reports',
+      description: 'Directory of processed reports for the dashboard and API',
+    },
+  },
+  examples: ['lintstock serve', 'lintstock serve --port 8080', 'lintstock serve --host 0.0.0.0'],
+  run: (options, positionals, ctx) => require('./serve').startServer(options, ctx),
+};
+
+const watch = {
+  name: 'watch',
+  summary: 'Rebuild context files as data files change',
+  options: {
+    debounce: { type: 'number', default: 1000, description: 'Milliseconds to wait for changes to settle' },
+  },
+  examples: ['lintstock watch', 'lintstock watch --debounce 3000'],
+  run: (options, positionals, ctx) => require('./watch').startWatching(options, ctx),
+};
+
+const stats = {
+  name: 'stats',
+  summary: 'Score statistics for processed reports',
+  usage: '[files...]',
+  options: {
+    format: { type: 'string', default: 'text', choices: FORMATS, description: 'text, json or markdown' },
+    indir: { type: 'string', default: 'context/reports', description: 'Directory of processed reports' },
+    client: { type: 'string', description: 'Only include this client' },
+    out: { type: 'string', description: 'Write to this file instead of the terminal' },
+  },
+  examples: [
+    'lintstock stats',
+    'lintstock stats --client "Acme plc" --format markdown --out output/acme-stats.md',
+    'lintstock stats --format json context/reports/acme-2024.json',
+  ],
+  run: (options, files, ctx) => require('./stats').runStats(options, files, ctx),
+};
+
+const compare = {
+  name: 'compare',
+  summary: "Compare a client's reviews across years",
+  options: {
+    client: { type: 'string', description: 'Client to compare (required)' },
+    years: { type: 'list', description: 'Review years to compare' },
+    format: { type: 'string', default: 'text', choices: FORMATS, description: 'text, json or markdown' },
+    indir: { type: 'string', default: 'context/reports', description: 'Directory of processed reports' },
+    out: { type: 'string', description: 'Write to this file instead of the terminal' },
+  },
+  examples: [
+    'lintstock compare --client "Acme plc"',
+    'lintstock compare --client "Acme plc" --years 2023,2025 --format markdown --out output/acme-yoy.md',
+  ],
+  run: (options, positionals, ctx) => require('./compare').runCompare(options, positionals, ctx),
+};
+
+const benchmark = {
+  name: 'benchmark',
+  summary: "Place a client's scores among other clients' for the same years",
+  options: {
+    client: { type: 'string', description: 'Client to benchmark (required)' },
+    years: { type: 'list', description: "Review years or ranges such as 2023-2025 (default: the client's latest)" },
+    'min-peers': {
+      type: 'number',
+      default: 5,
+      description: 'Fewest other clients needed to publish a benchmark (at least 5)',
+    },
+    format: { type: 'string', default: 'text', choices: FORMATS, description: 'text, json or markdown' },
+    indir: { type: 'string', default: 'context/reports', description: 'Directory of processed reports' },
+    out: { type: 'string', description: 'Write to this file instead of the terminal' },
+  },
+  examples: [
+    'lintstock benchmark --client "Acme plc"',
+    'lintstock benchmark --client "Acme plc" --years 2023-2025 --format markdown --out output/acme-benchmark.md',
+  ],
+  run: (options, positionals, ctx) => require('./benchmark').runBenchmark(options, positionals, ctx),
+};
+
+const board = {
+  name: 'board',
+  summary: 'Board composition over time: who joined, left or changed role',
+  options: {
+    client: { type: 'list', description: 'Only these clients' },
+    years: { type: 'list', description: 'Only these review years' },
+    format: { type: 'string', default: 'text', choices: FORMATS, description: 'text, json or markdown' },
+    indir: { type: 'string', default: 'context/reports', description: 'Directory of processed reports' },
+    out: { type: 'string', description: 'Write to this file instead of the terminal' },
+  },
+  examples: [
+    'lintstock board',
+    'lintstock board --client "Acme plc" --format markdown --out output/acme-board.md',
+  ],
+  run: (options, positionals, ctx) => require('./board').runBoard(options, positionals, ctx),
+};
+
+const query = {
+  name: 'query',
+  summary: 'Find responses by client, question, respondent, score and more',
+  options: {
+    indir: { type: 'string', default: 'context/reports', description: 'Directory of processed reports' },
+    client: { type: 'list', description: 'Only these clients' },
+    years: { type: 'list', description: 'Only these review years' },
+    report: { type: 'list', description: 'Only these reports' },
+    question: { type: 'list', description: 'Only these question numbers' },
+    text: { type: 'string', description: 'Question or sub-question text matching this pattern' },
+    respondent: { type: 'list', description: 'Respondent names containing any of these' },
+    position: { type: 'list', description: 'Positions containing any of these' },
+    'min-score': { type: 'number', description: 'Lowest score to include' },
+    'max-score': { type: 'number', description: 'Highest score to include' },
+    'has-comment': { type: 'boolean', description: 'Only responses with a comment' },
+    'has-skip-reason': { type: 'boolean', description: 'Only responses with a skip reason' },
+    columns: { type: 'list', description: 'Columns to show in table and Markdown output' },
+    limit: { type: 'number', description: 'Show at most this many responses' },
+    format: {
+      type: 'string',
+      default: 'table',
+      choices: ['table', 'json', 'markdown'],
+      description: 'table, json or markdown',
+    },
+    out: { type: 'string', description: 'Write to this file instead of the terminal' },
+  },
+  examples: [
+    'lintstock query --report "Board Dynamics" --max-score 2 --has-comment',
+    'lintstock query --client "Acme plc" --years 2024 --question 1,4',
+    'lintstock query --position chair --text "strateg" --format markdown',
+    'lintstock query --has-skip-reason --columns client_name,question_text,respondent,skip_reason',
+  ],
+  run: (options, positionals, ctx) => require('./query').runQuery(options, positionals, ctx),
+};
+
+const exportCommand = {
+  name: 'export',
+  summary: 'Export responses as one row each to CSV and NDJSON',
+  usage: '[files...]',
+  options: {
+    indir: { type: 'string', default: 'context/reports', description: 'Directory of processed reports' },
+    client: { type: 'list', description: 'Only include these clients' },
+    years: { type: 'list', description: 'Only include these review years' },
+    report: { type: 'list', description: 'Only include these reports' },
+    format: { type: 'list', default: 'csv,ndjson', choices: ['csv', 'ndjson'], description: 'Formats to write' },
+    outdir: { type: 'string', default: 'output', description: 'Directory to write the export to' },
+    name: { type: 'string', default: 'responses', description: 'File name, without extension' },
+  },
+  examples: [
+    'lintstock export',
+    'lintstock export --client "Acme plc" --years 2024 --report "Board Dynamics" --format csv',
+    'lintstock export --outdir output/exports --name acme-2024 --client "Acme plc" --years 2024',
+  ],
+  run: (options, files, ctx) => require('./export').runExport(options, files, ctx),
+};
+
+const report = {
+  name: 'report',
+  summary: 'Render client reports in Markdown from a template',
+  usage: '[files...]',
+  options: {
+    indir: { type: 'string', default: 'context/reports', description: 'Directory of processed reports' },
+    client: { type: 'list', description: 'Only these clients' },
+    years: { type: 'list', description: 'Only these review years' },
+    template: {
+      type: 'string',
+      default: 'templates/client-report.md.hbs',
+      description: 'Handlebars template to render',
+    },
+    'style-dir': { type: 'string', default: 'styles/house', description: 'House style boilerplate (partials)' },
+    top: { type: 'number', default: 3, description: 'Number of lowest- and highest-scoring questions to pick' },
+    comments: { type: 'number', default: 5, description: 'Most comments to select per section' },
+    outdir: { type: 'string', default: 'output/reports', description: 'Directory to write the reports to' },
+  },
+  examples: [
+    'lintstock report',
+    'lintstock report --client "Acme plc" --years 2024',
+    'lintstock report --template templates/board-pack.md.hbs --style-dir styles/acme-house',
+  ],
+  run: (options, files, ctx) => require('./report').runReport(options, files, ctx),
+};
+
+const themes = {
+  name: 'themes',
+  summary: 'Keywords, sentiment and themes in comments, and how they shift between years',
+  usage: '[files...]',
+  options: {
+    indir: { type: 'string', default: 'context/reports', description: 'Directory of processed reports' },
+    client: { type: 'list', description: 'Only these clients' },
+    years: { type: 'list', description: 'Only these review years' },
+    report: { type: 'list', description: 'Only these reports' },
+    question: { type: 'list', description: 'Only these question numbers' },
+    lexicon: {
+      type: 'string',
+      default: 'data/comment-lexicon.json',
+      description: 'Extra sentiment words and stopwords',
+    },
+    similarity: { type: 'number', default: 0.2, description: 'Similarity needed for comments to share a theme (0-1)' },
+    'min-size': { type: 'number', default: 2, description: 'Fewest comments that make a theme' },
+    keywords: { type: 'number', default: 10, description: 'Number of keywords and phrases to list' },
+    format: { type: 'string', default: 'text', choices: FORMATS, description: 'text, json or markdown' },
+    out: { type: 'string', description: 'Write to this file instead of the terminal' },
+  },
+  examples: [
+    'lintstock themes',
+    'lintstock themes --client "Acme plc" --format markdown --out output/acme-themes.md',
+    'lintstock themes --client "Acme plc" --report "Board Dynamics" --question 3 --similarity 0.35',
+  ],
+  run: (options, files, ctx) => require('./themes').runThemes(options, files, ctx),
+};
+
+const surveys = {
+  name: 'surveys',
+  summary: 'Cross-check survey questions against report questions',
+  usage: '[files...]',
+  options: {
+    indir: { type: 'string', default: 'context/surveys', description: 'Directory of processed surveys' },
+    'reports-dir': { type: 'string', default: 'context/reports', description: 'Directory of processed reports' },
+    client: { type: 'string', description: 'Only compare with this client' },
+    year: { type: 'string', description: "Only compare with this review year (default: the year in the survey's name)" },
+    similarity: {
+      type: 'number',
+      default: DEFAULT_SIMILARITY_THRESHOLD,
+      description: 'Similarity needed to treat two question texts as the same',
+    },
+    format: { type: 'string', default: 'text', choices: FORMATS, description: 'text, json or markdown' },
+    out: { type: 'string', description: 'Write to this file instead of the terminal' },
+  },
+  examples: [
+    'lintstock surveys',
+    'lintstock surveys --client "Acme plc" --year 2024',
+    'lintstock surveys --format markdown --out output/survey-check.md context/surveys/survey-2024.questions.json',
+  ],
+  run: (options, files, ctx) => require('./survey-check').runSurveyCheck(options, files, ctx),
+};
+
+const reidentify = {
+  name: 'reidentify',
+  summary: 'Replace respondent codes in generated files with real names',
+  usage: '[files...]',
+  options: {
+    indir: { type: 'string', default: 'output', description: 'Directory of generated files' },
+    outdir: { type: 'string', default: 'identified', description: 'Directory to write re-identified copies to' },
+    'key-file': { type: 'string', default: DEFAULT_KEY_FILE, description: 'Pseudonym key file' },
+  },
+  examples: ['lintstock reidentify', 'lintstock reidentify output/acme-summary.md --outdir identified'],
+  run: (options, files, ctx) => require('./reidentify').runReidentify(options, files, ctx),
+};
+
+module.exports = [
+  buildReports,
+  buildSurveys,
+  buildProposals,
+  buildAll,
+  serve,
+  watch,
+  stats,
+  compare,
+  benchmark,
+  board,
+  query,
+  exportCommand,
+  report,
+  themes,
+  surveys,
+  reidentify,
+];
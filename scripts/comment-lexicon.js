@@ -0,0 +1,200 @@
+const fs = require('node:fs');
+
+// Word lists for the comment theme analysis (report-themes.js): stopwords that
+// never count as keywords, and a sentiment lexicon scoring words from -3 (very
+// negative) to +3 (very positive). The sentiment words are chosen for board
+// review feedback, so "dominated", "siloed" and "reactive" count as negative,
+// while "robust", "constructive" and "open" count as positive. Words asking
+// for change ("improve", "improvement", "better") are mildly negative, because
+// in review comments they usually point to a development need.
+//
+// The lexicon file (data/comment-lexicon.json by default) is optional and
+// user-editable. Its entries are added to the built-in lists, and a word in
+// its `sentiment` replaces the built-in score (0 makes a word neutral):
+//
+// {
+//   "sentiment": { "siloed": -2, "challenging": 0 },
+//   "stopwords": ["acme", "plc"]
+// }
+
+const DEFAULT_LEXICON_FILE = 'data/comment-lexicon.json';
+
+const STOPWORDS = new Set(
+  `a about above after again against all also am an and any are as at be because been before being below between both
+  but by can could did do does doing down during each even every few for from further had has have having he her here
+  hers herself him himself his how i if in into is it its itself just let me more most much my myself need needs no
+  nor not now of off on once one only or other our ours ourselves out over own same she should so some such than that
+  the their theirs them themselves then there these they this those through to too under until up upon us very was we
+  well were what when where which while who whom why will with within without would you your yours yourself
+  yourselves quite rather really still though thus yet get gets got make makes made may might must shall ensure
+  particularly generally overall perhaps always often sometimes seem seems think feel felt believe time times way
+  ways lot lots thing things bit`.split(/\s+/)
+);
+
+// Words that flip the sentiment of the next few words ("not effective").
+const NEGATIONS = new Set(['not', 'no', 'never', 'nor', 'neither', 'hardly', 'barely', 'without']);
+
+const SENTIMENT = {
+  // Positive
+  excellent: 3,
+  outstanding: 3,
+  exceptional: 3,
+  superb: 3,
+  exemplary: 3,
+  great: 2,
+  strong: 2,
+  good: 2,
+  effective: 2,
+  effectively: 2,
+  robust: 2,
+  constructive: 2,
+  impressive: 2,
+  valuable: 2,
+  thoughtful: 2,
+  supportive: 2,
+  collaborative: 2,
+  cohesive: 2,
+  engaged: 2,
+  insightful: 2,
+  skilled: 2,
+  experienced: 1,
+  capable: 2,
+  productive: 2,
+  healthy: 2,
+  positive: 2,
+  improved: 2,
+  strengthened: 1,
+  improving: 1,
+  clear: 1,
+  clarity: 1,
+  open: 1,
+  openness: 1,
+  transparent: 1,
+  transparency: 1,
+  respectful: 1,
+  respect: 1,
+  trust: 1,
+  trusted: 1,
+  focused: 1,
+  helpful: 1,
+  useful: 1,
+  timely: 1,
+  appropriate: 1,
+  adequate: 1,
+  balanced: 1,
+  candid: 1,
+  challenge: 1,
+  diverse: 1,
+  diversity: 1,
+  rigorous: 2,
+  thorough: 1,
+  organised: 1,
+  organized: 1,
+  prepared: 1,
+  inclusive: 2,
+  leadership: 1,
+  confident: 1,
+  confidence: 1,
+  agree: 1,
+  satisfied: 1,
+  pleased: 2,
+  happy: 2,
+  works: 1,
+  working: 1,
+  progress: 1,
+  // Negative
+  poor: -3,
+  dysfunctional: -3,
+  toxic: -3,
+  unacceptable: -3,
+  failing: -3,
+  failed: -2,
+  failure: -2,
+  weak: -2,
+  weakness: -2,
+  weaknesses: -2,
+  ineffective: -2,
+  inadequate: -2,
+  insufficient: -2,
+  dominated: -2,
+  dominates: -2,
+  dominant: -1,
+  siloed: -2,
+  silo: -1,
+  silos: -1,
+  reactive: -1,
+  disorganised: -2,
+  disorganized: -2,
+  unclear: -2,
+  confused: -2,
+  confusing: -2,
+  limited: -1,
+  lacking: -2,
+  lack: -2,
+  lacks: -2,
+  concern: -2,
+  concerns: -2,
+  concerned: -2,
+  worry: -2,
+  worried: -2,
+  worrying: -2,
+  risk: -1,
+  risks: -1,
+  problem: -2,
+  problems: -2,
+  issue: -1,
+  issues: -1,
+  difficult: -1,
+  difficulty: -1,
+  tension: -2,
+  tensions: -2,
+  conflict: -2,
+  frustrating: -2,
+  frustrated: -2,
+  frustration: -2,
+  slow: -1,
+  late: -1,
+  rushed: -1,
+  overloaded: -1,
+  excessive: -1,
+  lengthy: -1,
+  long: -1,
+  superficial: -2,
+  disappointing: -2,
+  disappointed: -2,
+  unhelpful: -2,
+  unprepared: -2,
+  passive: -1,
+  reluctant: -1,
+  defensive: -2,
+  closed: -1,
+  gap: -1,
+  gaps: -1,
+  missing: -1,
+  inconsistent: -1,
+  dominating: -2,
+  bad: -2,
+  worse: -2,
+  worst: -3,
+  deteriorated: -2,
+  declining: -2,
+  improve: -1,
+  improvement: -1,
+  strengthen: -1,
+  better: -1,
+};
+
+// Loads the optional lexicon file and merges it over the built-in lists.
+function loadLexicon(filePath = DEFAULT_LEXICON_FILE) {
+  const lexicon = { sentiment: { ...SENTIMENT }, stopwords: new Set(STOPWORDS), negations: NEGATIONS };
+  if (!filePath || !fs.existsSync(filePath)) return lexicon;
+  const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  for (const [word, score] of Object.entries(json.sentiment || {})) {
+    if (typeof score !== 'number') throw new Error(`${filePath}: the sentiment score for "${word}" must be a number`);
+    lexicon.sentiment[word.toLowerCase()] = score;
+  }
+  for (const word of json.stopwords || []) lexicon.stopwords.add(String(word).toLowerCase());
+  return lexicon;
+}
+
+module.exports = { DEFAULT_LEXICON_FILE, STOPWORDS, NEGATIONS, SENTIMENT, loadLexicon };
@@ -0,0 +1,38 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { CliError, EXIT_CODES } = require('./cli');
+const { readProcessedReports } = require('./report-index');
+const { compareClient, formatText, formatMarkdown } = require('./report-compare');
+
+// Runs `lintstock compare`.
+// Example (every review for a client): lintstock compare --client "Acme plc"
+// Example (two review years as Markdown): lintstock compare --client "Acme plc" --years 2023,2025 --format markdown --out output/acme-yoy.md
+
+function runCompare(options, positionals, ctx) {
+  if (!options.client) {
+    throw new CliError('--client must be provided.', EXIT_CODES.USAGE);
+  }
+
+  let result;
+  try {
+    result = compareClient(readProcessedReports(options.indir), options.client, options.years);
+  } catch (err) {
+    throw new CliError(`Error comparing reviews: ${err.message}`);
+  }
+
+  let output;
+  if (options.format === 'json') output = JSON.stringify(result, null, 2);
+  else if (options.format === 'markdown') output = formatMarkdown(result);
+  else output = formatText(result);
+
+  if (options.out) {
+    fs.mkdirSync(path.dirname(options.out), { recursive: true });
+    fs.writeFileSync(options.out, output);
+    ctx.success(`Wrote comparison to ${options.out}`);
+  } else {
+    ctx.print(output);
+  }
+  return result;
+}
+
+module.exports = { runCompare };
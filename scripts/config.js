@@ -0,0 +1,45 @@
+const fs = require('node:fs');
+
+// Project configuration, read from lintstock.config.json in the project root.
+// The file is optional; missing sections fall back to the defaults below.
+// `commands` holds per-command option defaults for the lintstock CLI, keyed by
+// command name, e.g. { "stats": { "format": "markdown" } }. `headers` is
+// described in spreadsheet-to-json.js and `scores` in score-scales.js.
+
+const DEFAULT_CONFIG_FILE = 'lintstock.config.json';
+
+function defaultConfig() {
+  return {
+    headers: { map: {}, ignore: [], clients: {} },
+    scores: { labels: {}, clients: {} },
+    commands: {},
+  };
+}
+
+function loadConfig(filePath = DEFAULT_CONFIG_FILE) {
+  const defaults = defaultConfig();
+  if (!fs.existsSync(filePath)) return defaults;
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read config file ${filePath}: ${err.message}`);
+  }
+  return {
+    ...defaults,
+    ...json,
+    headers: { ...defaults.headers, ...json.headers },
+    scores: { ...defaults.scores, ...json.scores },
+  };
+}
+
+function saveConfig(config, filePath = DEFAULT_CONFIG_FILE) {
+  fs.writeFileSync(filePath, `${JSON.stringify(config, null, 2)}\n`);
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  defaultConfig,
+  loadConfig,
+  saveConfig,
+};
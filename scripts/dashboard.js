@@ -0,0 +1,53 @@
+const path = require('node:path');
+const express = require('express');
+const { readProcessedReports } = require('./report-index');
+const { getYear } = require('./spreadsheet-to-json');
+
+// Dashboard pages for `lintstock serve`. The page itself is static
+// (scripts/dashboard/); it fetches the processed workbooks as JSON from the
+// routes below and draws its charts and tables in the browser.
+//
+// GET /                      the dashboard page
+// GET /data/reviews          every processed workbook: source, client, date and year
+// GET /data/reviews/:source  one processed workbook
+
+const ASSETS_DIR = path.join(__dirname, 'dashboard');
+
+function describeReview(workbook) {
+  return {
+    source: workbook.source,
+    client_name: workbook.client_name,
+    created_date: workbook.created_date,
+    year: getYear(workbook.created_date),
+  };
+}
+
+function createDashboardRouter(reportsDir) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.sendFile(path.join(ASSETS_DIR, 'index.html'));
+  });
+  router.use('/assets', express.static(ASSETS_DIR));
+
+  // Workbooks are read on every request so rebuilt data shows up on reload.
+  router.get('/data/reviews', (req, res) => {
+    const reviews = readProcessedReports(reportsDir)
+      .map(describeReview)
+      .sort((a, b) => a.client_name.localeCompare(b.client_name) || a.created_date.localeCompare(b.created_date));
+    res.json(reviews);
+  });
+
+  router.get('/data/reviews/:source', (req, res) => {
+    const workbook = readProcessedReports(reportsDir).find((wb) => wb.source === req.params.source);
+    if (!workbook) {
+      res.status(404).json({ error: `No processed report named ${req.params.source}` });
+      return;
+    }
+    res.json(workbook);
+  });
+
+  return router;
+}
+
+module.exports = { createDashboardRouter };
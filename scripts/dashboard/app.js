@@ -0,0 +1,345 @@
+// Browser side of the report dashboard. Fetches processed workbooks from
+// /dashboard/data and renders summaries, charts and responses from them. The
+// selection is kept in the URL hash so reloads (including live reload after a
+// rebuild) keep the same view.
+
+const content = document.getElementById('content');
+const clientSelect = document.getElementById('client');
+const reviewSelect = document.getElementById('review');
+const respondentSelect = document.getElementById('respondent');
+
+let reviews = [];
+let workbook = null;
+
+// --- Helpers ---
+
+function el(tag, attrs = {}, ...children) {
+  const node = document.createElement(tag);
+  for (const [name, value] of Object.entries(attrs)) {
+    if (name === 'class') node.className = value;
+    else if (name.startsWith('on')) node.addEventListener(name.slice(2), value);
+    else node.setAttribute(name, value);
+  }
+  for (const child of children.flat()) {
+    if (child === null || child === undefined || child === false) continue;
+    node.append(child instanceof Node ? child : String(child));
+  }
+  return node;
+}
+
+function svg(tag, attrs = {}, ...children) {
+  const node = document.createElementNS('http://www.w3.org/2000/svg', tag);
+  for (const [name, value] of Object.entries(attrs)) node.setAttribute(name, value);
+  for (const child of children) node.append(child);
+  return node;
+}
+
+function format(value, places = 2) {
+  if (value === null || value === undefined) return '–';
+  return String(Math.round(value * 10 ** places) / 10 ** places);
+}
+
+function percent(value) {
+  return value === null ? '–' : `${Math.round(value * 1000) / 10}%`;
+}
+
+function readHash() {
+  return Object.fromEntries(new URLSearchParams(window.location.hash.slice(1)));
+}
+
+function writeHash() {
+  const params = new URLSearchParams();
+  if (clientSelect.value) params.set('client', clientSelect.value);
+  if (reviewSelect.value) params.set('review', reviewSelect.value);
+  if (respondentSelect.value) params.set('respondent', respondentSelect.value);
+  history.replaceState(null, '', `#${params}`);
+}
+
+function setOptions(select, options, selected) {
+  select.replaceChildren(...options.map(({ value, label }) => el('option', { value }, label)));
+  if (options.some((option) => option.value === selected)) select.value = selected;
+}
+
+// --- Statistics ---
+
+function summarise(responses) {
+  const scores = responses.filter((r) => typeof r.score === 'number').map((r) => r.score);
+  const normalised = responses.filter((r) => typeof r.normalised_score === 'number').map((r) => r.normalised_score);
+  const sorted = [...scores].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  const distribution = {};
+  for (const score of sorted) distribution[score] = (distribution[score] || 0) + 1;
+  const skipped = responses.filter((r) => r.skip_reason).length;
+  return {
+    responses: responses.length,
+    scored: scores.length,
+    skipped,
+    skip_rate: responses.length ? skipped / responses.length : null,
+    comments: responses.filter((r) => r.comment).length,
+    mean: scores.length ? scores.reduce((sum, s) => sum + s, 0) / scores.length : null,
+    // 0-1 whatever the scale, so it can be averaged across questions.
+    normalised_mean: normalised.length ? normalised.reduce((sum, s) => sum + s, 0) / normalised.length : null,
+    median: scores.length ? (sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2) : null,
+    distribution,
+  };
+}
+
+// The score values every chart in a workbook shares, so bars line up.
+function scoreDomain(wb) {
+  const scores = new Set();
+  for (const report of wb.reports) {
+    for (const q of report.questions) {
+      for (const r of q.responses) if (typeof r.score === 'number') scores.add(r.score);
+    }
+  }
+  const values = [...scores].sort((a, b) => a - b);
+  if (values.length === 0 || !values.every(Number.isInteger)) return values;
+  const domain = [];
+  for (let v = Math.min(1, values[0]); v <= values[values.length - 1]; v++) domain.push(v);
+  return domain;
+}
+
+function groupQuestions(questions) {
+  const groups = new Map();
+  for (const q of questions) {
+    const key = `${q.question_number}|${q.question_text}`;
+    if (!groups.has(key)) {
+      groups.set(key, { question_number: q.question_number, question_text: q.question_text, entries: [] });
+    }
+    groups.get(key).entries.push(q);
+  }
+  return [...groups.values()];
+}
+
+// --- Rendering ---
+
+function distributionChart(distribution, domain) {
+  const width = 24 * Math.max(domain.length, 1);
+  const height = 48;
+  const max = Math.max(1, ...Object.values(distribution));
+  const chart = svg('svg', { class: 'chart', width, height, viewBox: `0 0 ${width} ${height}` });
+  domain.forEach((value, i) => {
+    const count = distribution[value] || 0;
+    const barHeight = ((height - 14) * count) / max;
+    const bar = svg('rect', { x: i * 24 + 3, y: height - 12 - barHeight, width: 18, height: barHeight });
+    bar.append(svg('title', {}, `${value}: ${count} response(s)`));
+    chart.append(bar, svg('text', { x: i * 24 + 12, y: height - 1, 'text-anchor': 'middle' }, String(value)));
+  });
+  return chart;
+}
+
+function card(label, value) {
+  return el('div', { class: 'card' }, el('div', { class: 'muted' }, label), el('div', { class: 'value' }, value));
+}
+
+function responsesTable(entries, positions) {
+  const rows = entries.flatMap((q) => q.responses.map((r) => ({ ...r, sub_question_text: q.sub_question_text })));
+  const hasSubQuestions = rows.some((r) => r.sub_question_text);
+  return el(
+    'table',
+    {},
+    el(
+      'tr',
+      {},
+      el('th', {}, 'Respondent'),
+      el('th', {}, 'Position'),
+      hasSubQuestions && el('th', {}, 'Sub-question'),
+      el('th', {}, 'Score'),
+      el('th', {}, 'Response'),
+      el('th', {}, 'Comment'),
+      el('th', {}, 'Skip reason')
+    ),
+    rows.map((r) =>
+      el(
+        'tr',
+        {},
+        el('td', {}, r.respondent),
+        el('td', {}, positions.get(r.respondent) || ''),
+        hasSubQuestions && el('td', {}, r.sub_question_text || ''),
+        el('td', { class: 'number' }, r.score ?? ''),
+        el('td', {}, r.response || ''),
+        el('td', {}, r.comment || ''),
+        el('td', {}, r.skip_reason || '')
+      )
+    )
+  );
+}
+
+function questionDetail(group, domain, positions, columns) {
+  const cell = el('td', { colspan: columns });
+  const subQuestions = group.entries.filter((q) => q.sub_question_text);
+  if (subQuestions.length > 0) {
+    cell.append(
+      el('h4', {}, 'Sub-questions'),
+      el(
+        'table',
+        {},
+        el('tr', {}, ['Sub-question', 'Responses', 'Mean', 'Distribution'].map((h) => el('th', {}, h))),
+        subQuestions.map((q) => {
+          const stats = summarise(q.responses);
+          return el(
+            'tr',
+            { class: 'sub-question' },
+            el('td', {}, q.sub_question_text),
+            el('td', { class: 'number' }, stats.responses),
+            el('td', { class: 'number' }, format(stats.mean)),
+            el('td', {}, distributionChart(stats.distribution, domain))
+          );
+        })
+      )
+    );
+  }
+  const comments = group.entries.flatMap((q) => q.responses.filter((r) => r.comment));
+  if (comments.length > 0) {
+    cell.append(
+      el('h4', {}, 'Comments'),
+      ...comments.map((r) => {
+        const position = positions.get(r.respondent);
+        const by = `— ${r.respondent}${position ? `, ${position}` : ''}`;
+        return el('blockquote', {}, r.comment, el('div', { class: 'muted' }, by));
+      })
+    );
+  }
+  cell.append(el('h4', {}, 'Responses'), responsesTable(group.entries, positions));
+  return el('tr', { class: 'detail', hidden: '' }, cell);
+}
+
+function reportSection(report, domain, positions) {
+  const headings = ['Q', 'Question', 'Responses', 'Mean', 'Median', 'Skipped', 'Comments', 'Distribution'];
+  const table = el('table', {}, el('tr', {}, headings.map((h) => el('th', {}, h))));
+  for (const group of groupQuestions(report.questions)) {
+    const stats = summarise(group.entries.flatMap((q) => q.responses));
+    const detail = questionDetail(group, domain, positions, headings.length);
+    const row = el(
+      'tr',
+      { class: 'question', title: 'Show responses', onclick: () => detail.toggleAttribute('hidden') },
+      el('td', { class: 'number' }, group.question_number ?? ''),
+      el('td', {}, group.question_text),
+      el('td', { class: 'number' }, stats.responses),
+      el('td', { class: 'number' }, format(stats.mean)),
+      el('td', { class: 'number' }, format(stats.median)),
+      el('td', { class: 'number' }, stats.skipped),
+      el('td', { class: 'number' }, stats.comments),
+      el('td', {}, distributionChart(stats.distribution, domain))
+    );
+    table.append(row, detail);
+  }
+  const stats = summarise(report.questions.flatMap((q) => q.responses));
+  return el(
+    'section',
+    { class: 'report' },
+    el('h2', {}, report.report_name),
+    el(
+      'p',
+      { class: 'muted' },
+      `Mean normalised score ${format(stats.normalised_mean)} (0-1) across ${stats.scored} scored responses. Click a question to see its responses.`
+    ),
+    table
+  );
+}
+
+// Narrows the workbook to one respondent's responses.
+function filterWorkbook(wb, respondent) {
+  if (!respondent) return wb;
+  return {
+    ...wb,
+    reports: wb.reports.map((report) => ({
+      ...report,
+      questions: report.questions.map((q) => ({
+        ...q,
+        responses: q.responses.filter((r) => r.respondent === respondent),
+      })),
+    })),
+  };
+}
+
+function render() {
+  if (!workbook) return;
+  const positions = new Map(workbook.respondees.map((r) => [r.name, r.position]));
+  const domain = scoreDomain(workbook);
+  const wb = filterWorkbook(workbook, respondentSelect.value);
+  const stats = summarise(wb.reports.flatMap((r) => r.questions.flatMap((q) => q.responses)));
+
+  content.replaceChildren(
+    el('h2', {}, `${wb.client_name}, ${wb.created_date}`),
+    el('p', { class: 'muted' }, `Source: ${wb.source}`),
+    el(
+      'div',
+      { class: 'cards' },
+      card('Respondents', respondentSelect.value ? 1 : wb.respondees.length),
+      card('Responses', stats.responses),
+      card('Mean score (0-1)', format(stats.normalised_mean)),
+      card('Skip rate', percent(stats.skip_rate)),
+      card('Comments', stats.comments)
+    ),
+    ...wb.reports.map((report) => reportSection(report, domain, positions))
+  );
+}
+
+// --- Data loading ---
+
+async function fetchJson(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`${url}: ${res.status} ${res.statusText}`);
+  return res.json();
+}
+
+async function loadReview(respondent = '') {
+  if (!reviewSelect.value) return;
+  workbook = await fetchJson(`/dashboard/data/reviews/${encodeURIComponent(reviewSelect.value)}`);
+  setOptions(
+    respondentSelect,
+    [
+      { value: '', label: 'Everyone' },
+      ...workbook.respondees.map((r) => ({ value: r.name, label: r.position ? `${r.name} (${r.position})` : r.name })),
+    ],
+    respondent
+  );
+  writeHash();
+  render();
+}
+
+function showReviews(selected) {
+  const forClient = reviews.filter((r) => r.client_name === clientSelect.value);
+  const sameYear = (r) => forClient.filter((other) => other.year === r.year).length > 1;
+  setOptions(
+    reviewSelect,
+    forClient.map((r) => ({ value: r.source, label: sameYear(r) ? `${r.year} (${r.source})` : r.year })),
+    selected || (forClient.length > 0 ? forClient[forClient.length - 1].source : '')
+  );
+}
+
+async function init() {
+  reviews = await fetchJson('/dashboard/data/reviews');
+  if (reviews.length === 0) {
+    content.replaceChildren(el('p', {}, 'No processed reports found. Run `lintstock build reports` first.'));
+    return;
+  }
+  const hash = readHash();
+  const clients = [...new Set(reviews.map((r) => r.client_name))];
+  setOptions(
+    clientSelect,
+    clients.map((c) => ({ value: c, label: c })),
+    hash.client || clients[0]
+  );
+  showReviews(hash.review);
+  await loadReview(hash.respondent);
+}
+
+clientSelect.addEventListener('change', () => {
+  showReviews();
+  loadReview().catch(showError);
+});
+reviewSelect.addEventListener('change', () => {
+  loadReview().catch(showError);
+});
+respondentSelect.addEventListener('change', () => {
+  writeHash();
+  render();
+});
+
+function showError(err) {
+  content.replaceChildren(el('p', {}, `Could not load the dashboard data: ${err.message}`));
+}
+
+init().catch(showError);
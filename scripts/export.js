@@ -0,0 +1,35 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { readProcessedReports } = require('./report-index');
+const { exportRows, toCsv, toNdjson } = require('./report-export');
+
+// Runs `lintstock export`.
+// Example (everything, CSV and NDJSON): lintstock export
+// Example (one client's 2024 board report as CSV): lintstock export --client "Acme plc" --years 2024 --report "Board Dynamics" --format csv
+
+const WRITERS = { csv: toCsv, ndjson: toNdjson };
+
+function runExport(options, filePaths, ctx) {
+  const workbooks =
+    filePaths.length > 0
+      ? filePaths.map((filePath) => ({
+          ...JSON.parse(fs.readFileSync(filePath, 'utf8')),
+          source: path.basename(filePath),
+        }))
+      : readProcessedReports(options.indir);
+  if (workbooks.length === 0) {
+    ctx.warn('No processed reports found. Run `lintstock build reports` first.');
+  }
+
+  const rows = exportRows(workbooks, { clients: options.client, years: options.years, reports: options.report });
+  fs.mkdirSync(options.outdir, { recursive: true });
+  const files = options.format.map((format) => {
+    const filePath = path.join(options.outdir, `${options.name}.${format}`);
+    fs.writeFileSync(filePath, WRITERS[format](rows));
+    ctx.success(`Wrote ${rows.length} row(s) to ${filePath}`);
+    return filePath;
+  });
+  return { rows: rows.length, files };
+}
+
+module.exports = { runExport };
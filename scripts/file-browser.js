@@ -0,0 +1,292 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const express = require('express');
+const hljs = require('highlight.js');
+const { Marked } = require('marked');
+
+// File browser for output/, used by `lintstock serve`. Folders are listed
+// recursively through links, with breadcrumbs, modification times, sizes,
+// sorting (?sort=name|modified|size&order=asc|desc) and a file name search
+// (?q=) over the folder and everything below it. Markdown files are rendered
+// in a reading layout (?raw to get the source); other files are sent as they
+// are.
+//
+// Every request path is resolved inside the output directory, after following
+// symlinks, and anything that would end up outside it is answered with a 404.
+// Dotfiles and GEMINI.md are never listed or served.
+
+const ASSETS_DIR = path.join(__dirname, 'file-browser');
+const HIDDEN_FILES = new Set(['GEMINI.md']);
+const SORT_KEYS = ['name', 'modified', 'size'];
+
+const markdown = new Marked({
+  renderer: {
+    code({ text, lang }) {
+      const language = lang && hljs.getLanguage(lang) ? lang : null;
+      const html = language ? hljs.highlight(text, { language }).value : hljs.highlightAuto(text).value;
+      return `<pre><code class="hljs${language ? ` language-${escapeHtml(language)}` : ''}">${html}</code></pre>\n`;
+    },
+  },
+});
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function isHidden(name) {
+  return name.startsWith('.') || HIDDEN_FILES.has(name);
+}
+
+function isInside(root, target) {
+  return target === root || target.startsWith(`${root}${path.sep}`);
+}
+
+// Resolves a URL path to a path inside `root`, or returns null when the path
+// is malformed, hidden, missing or (after following symlinks) outside `root`.
+function resolveOutputPath(root, urlPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch {
+    return null;
+  }
+  if (decoded.includes('\0')) return null;
+  const segments = decoded.split(/[\\/]+/).filter(Boolean);
+  if (segments.some((segment) => segment === '..' || isHidden(segment))) return null;
+
+  const resolved = path.resolve(root, ...segments);
+  if (!isInside(root, resolved) || !fs.existsSync(resolved)) return null;
+  const realRoot = fs.realpathSync(root);
+  return isInside(realRoot, fs.realpathSync(resolved)) ? resolved : null;
+}
+
+// URL path of a file inside `root`, with each segment encoded.
+function urlFor(root, filePath, isDirectory = false) {
+  const relative = path.relative(root, filePath).split(path.sep).filter(Boolean);
+  const url = `/${relative.map(encodeURIComponent).join('/')}`;
+  return isDirectory && relative.length > 0 ? `${url}/` : url;
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function breadcrumbs(root, target) {
+  const relative = path.relative(root, target).split(path.sep).filter(Boolean);
+  const crumbs = [`<a href="/">output</a>`];
+  relative.forEach((segment, i) => {
+    const isLast = i === relative.length - 1;
+    const url = `/${relative.slice(0, i + 1).map(encodeURIComponent).join('/')}/`;
+    crumbs.push(isLast ? `<span>${escapeHtml(segment)}</span>` : `<a href="${url}">${escapeHtml(segment)}</a>`);
+  });
+  return `<nav class="breadcrumbs">${crumbs.join(' <span class="separator">/</span> ')}</nav>`;
+}
+
+function renderPage({ title, nav, body, bodyClass = '' }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="/_browser/browser.css">
+  <link rel="stylesheet" href="/_browser/highlight.css">
+</head>
+<body class="${bodyClass}">
+  <header>
+    ${nav}
+    <a class="dashboard-link" href="/dashboard">Report dashboard</a>
+  </header>
+  ${body}
+</body>
+</html>`;
+}
+
+// --- Listings ---
+
+function readEntry(root, filePath) {
+  const stat = fs.statSync(filePath);
+  return {
+    name: path.basename(filePath),
+    path: path.relative(root, filePath),
+    url: urlFor(root, filePath, stat.isDirectory()),
+    isDirectory: stat.isDirectory(),
+    modified: stat.mtime,
+    size: stat.isDirectory() ? null : stat.size,
+  };
+}
+
+// Entries of `dir`, leaving out hidden files, broken links and links that
+// point outside `root`.
+function listEntries(root, dir) {
+  const realRoot = fs.realpathSync(root);
+  return fs
+    .readdirSync(dir)
+    .filter((name) => !isHidden(name))
+    .map((name) => path.join(dir, name))
+    .filter((filePath) => {
+      try {
+        return isInside(realRoot, fs.realpathSync(filePath));
+      } catch {
+        return false;
+      }
+    })
+    .map((filePath) => readEntry(root, filePath));
+}
+
+// Files and folders below `dir` whose name contains `query`. Each folder is
+// searched once, however many symlinks lead to it, so a symlink loop cannot
+// send the search round for ever.
+function searchEntries(root, dir, query) {
+  const needle = query.toLowerCase();
+  const results = [];
+  const visited = new Set();
+  const walk = (current) => {
+    let real;
+    try {
+      real = fs.realpathSync(current);
+    } catch {
+      return;
+    }
+    if (visited.has(real)) return;
+    visited.add(real);
+    for (const entry of listEntries(root, current)) {
+      if (entry.name.toLowerCase().includes(needle)) results.push(entry);
+      if (entry.isDirectory) walk(path.join(root, entry.path));
+    }
+  };
+  walk(dir);
+  return results;
+}
+
+function sortEntries(entries, sort, order) {
+  const compare = {
+    name: (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }),
+    modified: (a, b) => a.modified - b.modified,
+    size: (a, b) => (a.size ?? -1) - (b.size ?? -1),
+  }[sort];
+  const direction = order === 'desc' ? -1 : 1;
+  // Folders always come first.
+  return [...entries].sort((a, b) => b.isDirectory - a.isDirectory || direction * compare(a, b));
+}
+
+function renderListing(root, dir, query) {
+  const sort = SORT_KEYS.includes(query.sort) ? query.sort : 'name';
+  const order = query.order === 'desc' ? 'desc' : 'asc';
+  const search = typeof query.q === 'string' ? query.q.trim() : '';
+  const entries = sortEntries(search ? searchEntries(root, dir, search) : listEntries(root, dir), sort, order);
+
+  const link = (key, label) => {
+    const nextOrder = sort === key && order === 'asc' ? 'desc' : 'asc';
+    const params = new URLSearchParams({ ...(search && { q: search }), sort: key, order: nextOrder });
+    const arrow = sort === key ? (order === 'asc' ? ' ▲' : ' ▼') : '';
+    return `<a href="?${params}">${label}${arrow}</a>`;
+  };
+  const rows = entries.map(
+    (entry) => `<tr>
+      <td><a href="${entry.url}">${escapeHtml(search ? entry.path : entry.name)}${entry.isDirectory ? '/' : ''}</a></td>
+      <td>${formatDate(entry.modified)}</td>
+      <td class="number">${entry.size === null ? '' : formatSize(entry.size)}</td>
+    </tr>`
+  );
+  const empty = search ? `No files matching “${escapeHtml(search)}”.` : 'This folder is empty.';
+  const heading = dir === root ? 'Files in output/' : `${escapeHtml(path.basename(dir))}/`;
+
+  return renderPage({
+    title: dir === root ? 'output/' : `${path.relative(root, dir)}/`,
+    nav: breadcrumbs(root, dir),
+    body: `<main>
+    <h1>${heading}</h1>
+    <form class="search" method="get">
+      <input type="search" name="q" value="${escapeHtml(search)}" placeholder="Search file names in this folder and below">
+      <input type="hidden" name="sort" value="${sort}">
+      <input type="hidden" name="order" value="${order}">
+      <button type="submit">Search</button>
+      ${search ? '<a href="?">Clear</a>' : ''}
+    </form>
+    <table class="listing">
+      <thead><tr><th>${link('name', 'Name')}</th><th>${link('modified', 'Modified')}</th><th class="number">${link('size', 'Size')}</th></tr></thead>
+      <tbody>${rows.join('') || `<tr><td colspan="3" class="muted">${empty}</td></tr>`}</tbody>
+    </table>
+  </main>`,
+  });
+}
+
+// --- Markdown ---
+
+function renderMarkdown(root, filePath, source) {
+  const html = markdown.parse(source);
+  const heading = /^#\s+(.+)$/m.exec(source);
+  const stat = fs.statSync(filePath);
+  return renderPage({
+    title: heading ? heading[1] : path.basename(filePath),
+    nav: breadcrumbs(root, filePath),
+    bodyClass: 'reading',
+    body: `<main>
+    <p class="file-meta">
+      ${escapeHtml(path.basename(filePath))} · modified ${formatDate(stat.mtime)} ·
+      <a href="?raw">View source</a> · <a href="#" onclick="window.print(); return false;">Print</a>
+    </p>
+    <article class="markdown">${html}</article>
+  </main>`,
+  });
+}
+
+function createFileBrowser(outputDir) {
+  const root = path.resolve(outputDir);
+  const router = express.Router();
+
+  router.use('/_browser', express.static(ASSETS_DIR));
+  router.get('/_browser/highlight.css', (req, res) => {
+    res.sendFile(require.resolve('highlight.js/styles/github.css'));
+  });
+
+  router.use((req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+    const filePath = resolveOutputPath(root, req.path);
+    if (!filePath) {
+      res.status(404).send(
+        renderPage({ title: 'Not found', nav: breadcrumbs(root, root), body: '<main><h1>Not found</h1></main>' })
+      );
+      return;
+    }
+
+    const stat = fs.statSync(filePath);
+    if (stat.isDirectory()) {
+      if (!req.path.endsWith('/')) {
+        const queryIndex = req.originalUrl.indexOf('?');
+        res.redirect(`${req.path}/${queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex)}`);
+        return;
+      }
+      res.send(renderListing(root, filePath, req.query));
+      return;
+    }
+
+    const isMarkdown = filePath.toLowerCase().endsWith('.md');
+    if (isMarkdown && !('raw' in req.query)) {
+      fs.readFile(filePath, 'utf8', (err, source) => {
+        if (err) return next(err);
+        res.send(renderMarkdown(root, filePath, source));
+      });
+      return;
+    }
+    if (isMarkdown) res.type('text/plain; charset=utf-8');
+    res.sendFile(filePath, (err) => err && next(err));
+  });
+
+  return router;
+}
+
+module.exports = { resolveOutputPath, createFileBrowser };
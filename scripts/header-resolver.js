@@ -0,0 +1,78 @@
+const readline = require('node:readline/promises');
+const path = require('node:path');
+const chalk = require('chalk');
+const { HEADER_FIELDS, inspectSpreadsheetFile } = require('./spreadsheet-to-json');
+
+// Walks through every unmatched header in `filePaths` and asks the user to map
+// it to a field, ignore it or skip it. Choices are written into
+// `config.headers`, either for all clients or for the workbook's client only.
+// Returns the number of headers resolved.
+async function resolveHeadersInteractively(filePaths, config) {
+  if (!process.stdin.isTTY) {
+    throw new Error('--resolve-headers needs an interactive terminal');
+  }
+
+  const pending = new Map();
+  for (const filePath of filePaths) {
+    try {
+      const { client_name, unmatched } = await inspectSpreadsheetFile(filePath, { headerConfig: config.headers });
+      for (const header of unmatched) {
+        const key = `${client_name}|${header}`;
+        if (!pending.has(key)) pending.set(key, { header, client_name, files: [] });
+        pending.get(key).files.push(path.basename(filePath));
+      }
+    } catch (err) {
+      console.error(chalk.red(`Error reading headers from ${filePath}:`), err.message);
+    }
+  }
+
+  if (pending.size === 0) {
+    console.log(chalk.green('All headers are mapped.'));
+    return 0;
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const fieldList = HEADER_FIELDS.map((field, i) => `  ${i + 1}. ${field}`).join('\n');
+  const resolvedForAll = new Set();
+  let resolved = 0;
+
+  try {
+    for (const { header, client_name, files } of pending.values()) {
+      if (resolvedForAll.has(header)) continue;
+      console.log(chalk.yellow(`\nUnmatched header "${header}"`), chalk.gray(`(${client_name}: ${files.join(', ')})`));
+      console.log(fieldList);
+      const answer = (await rl.question('Field number, (i)gnore or (s)kip [s]: ')).trim().toLowerCase();
+
+      let target;
+      if (answer === 'i') {
+        target = { ignore: true };
+      } else {
+        const index = Number.parseInt(answer, 10);
+        if (Number.isNaN(index) || !HEADER_FIELDS[index - 1]) continue;
+        target = { field: HEADER_FIELDS[index - 1] };
+      }
+
+      const scope = (await rl.question(`Apply to (a)ll clients or only (c) ${client_name}? [a]: `)).trim().toLowerCase();
+      let section = config.headers;
+      if (scope === 'c') {
+        config.headers.clients = config.headers.clients || {};
+        config.headers.clients[client_name] = config.headers.clients[client_name] || {};
+        section = config.headers.clients[client_name];
+      } else {
+        resolvedForAll.add(header);
+      }
+
+      if (target.ignore) {
+        section.ignore = Array.from(new Set([...(section.ignore || []), header]));
+      } else {
+        section.map = { ...section.map, [header]: target.field };
+      }
+      resolved++;
+    }
+  } finally {
+    rl.close();
+  }
+  return resolved;
+}
+
+module.exports = { resolveHeadersInteractively };
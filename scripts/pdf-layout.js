@@ -0,0 +1,277 @@
+// Rebuilds Markdown structure from the positioned text of a PDF. pdf-parse
+// only gives us text runs with a position and font size, so everything here is
+// a layout heuristic:
+//
+// - runs on the same baseline form a line; wide gaps between runs split the
+//   line into cells
+// - lines noticeably larger than the body text are headings, the largest size
+//   being `#`; short, centred, free-standing lines at body size are the
+//   lowest heading level
+// - two or more consecutive lines with the same number of cells (at least
+//   two) form a table, the first line being its header
+// - lines in the top or bottom margin that repeat on most pages (ignoring
+//   digits, so page numbers match) are page furniture and are dropped
+//
+// Pages are separated by `<!-- page N -->` markers and the document starts
+// with YAML front matter built from the PDF's metadata.
+
+const LINE_TOLERANCE = 2; // points between baselines still treated as one line
+const MARGIN_RATIO = 0.1; // top and bottom share of the page checked for furniture
+const FURNITURE_PAGE_RATIO = 0.6; // share of pages a margin line must appear on
+const HEADING_SIZE_RATIO = 1.15;
+const MAX_HEADING_LENGTH = 120;
+const MAX_HEADING_LEVELS = 4;
+const BULLET_PATTERN = /^[•●▪◦‣∙·\-–*]\s*/;
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Converts a pdf.js text item into a run. transform is [a, b, c, d, x, y].
+function toRun(item) {
+  const [a, b, , , x, y] = item.transform;
+  const fontSize = round(Math.hypot(a, b)) || round(item.height) || 0;
+  return { text: item.str, x, y, width: item.width, fontSize };
+}
+
+// Collects the runs of one pdf-parse page. Use as (part of) a `pagerender`.
+async function readPageLayout(pageData) {
+  const content = await pageData.getTextContent({ normalizeWhitespace: true, disableCombineTextItems: false });
+  const [x0, y0, x1, y1] = pageData.view;
+  return {
+    width: x1 - x0,
+    height: y1 - y0,
+    runs: content.items.map(toRun).filter((run) => run.text.trim() !== ''),
+  };
+}
+
+// Groups runs into lines, top to bottom. A gap wider than about two
+// characters between runs starts a new cell.
+function groupLines(runs) {
+  const sorted = [...runs].sort((p, q) => q.y - p.y || p.x - q.x);
+  const lines = [];
+  for (const run of sorted) {
+    const line = lines.find((l) => Math.abs(l.y - run.y) <= LINE_TOLERANCE);
+    if (line) line.runs.push(run);
+    else lines.push({ y: run.y, runs: [run] });
+  }
+
+  return lines.map((line) => {
+    line.runs.sort((p, q) => p.x - q.x);
+    const fontSize = Math.max(...line.runs.map((r) => r.fontSize));
+    const cells = [];
+    let previous = null;
+    for (const run of line.runs) {
+      const gap = previous ? run.x - (previous.x + previous.width) : 0;
+      if (!previous || gap > fontSize * 2) {
+        cells.push({ x: run.x, text: run.text });
+      } else {
+        const cell = cells[cells.length - 1];
+        cell.text += gap > fontSize * 0.15 && !/\s$/.test(cell.text) ? ` ${run.text}` : run.text;
+      }
+      previous = run;
+    }
+    for (const cell of cells) cell.text = cell.text.replace(/\s+/g, ' ').trim();
+    const last = line.runs[line.runs.length - 1];
+    return {
+      y: line.y,
+      x: line.runs[0].x,
+      right: last.x + last.width,
+      fontSize,
+      cells: cells.filter((cell) => cell.text !== ''),
+      text: cells.map((cell) => cell.text).join(' ').trim(),
+    };
+  });
+}
+
+function furnitureKey(text) {
+  return text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+}
+
+function isMarginLine(line, page) {
+  const margin = page.height * MARGIN_RATIO;
+  return line.y > page.height - margin || line.y < margin;
+}
+
+// Removes headers and footers repeated across pages, and bare page numbers.
+function dropPageFurniture(pages) {
+  const counts = new Map();
+  for (const page of pages) {
+    const keys = new Set(page.lines.filter((l) => isMarginLine(l, page)).map((l) => furnitureKey(l.text)));
+    for (const key of keys) counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const minPages = Math.max(2, Math.ceil(pages.length * FURNITURE_PAGE_RATIO));
+  const repeated = new Set([...counts].filter(([, count]) => count >= minPages).map(([key]) => key));
+
+  return pages.map((page) => ({
+    ...page,
+    lines: page.lines.filter((line) => {
+      if (!isMarginLine(line, page)) return true;
+      if (repeated.has(furnitureKey(line.text))) return false;
+      return !/^(page\s+)?\d+(\s+(of|\/)\s+\d+)?$/i.test(line.text);
+    }),
+  }));
+}
+
+// The body font size is the size used for most characters.
+function bodyFontSize(pages) {
+  const weights = new Map();
+  for (const line of pages.flatMap((page) => page.lines)) {
+    weights.set(line.fontSize, (weights.get(line.fontSize) || 0) + line.text.length);
+  }
+  let body = 0;
+  let best = -1;
+  for (const [size, weight] of weights) {
+    if (weight > best) {
+      body = size;
+      best = weight;
+    }
+  }
+  return body;
+}
+
+// Heading sizes, largest first; the list index is the heading level minus one.
+function headingSizes(pages, body) {
+  const sizes = new Set();
+  for (const line of pages.flatMap((page) => page.lines)) {
+    if (line.fontSize >= body * HEADING_SIZE_RATIO && line.text.length <= MAX_HEADING_LENGTH) sizes.add(line.fontSize);
+  }
+  return [...sizes].sort((p, q) => q - p).slice(0, MAX_HEADING_LEVELS - 1);
+}
+
+function headingLevel(line, context) {
+  const { page, previous, next, body, sizes } = context;
+  if (line.text.length > MAX_HEADING_LENGTH || line.cells.length > 1) return 0;
+  const index = sizes.findIndex((size) => line.fontSize >= size);
+  if (line.fontSize >= body * HEADING_SIZE_RATIO && index !== -1) return index + 1;
+
+  // Centred, free-standing short lines at body size read as minor headings.
+  const lineHeight = body * 1.2;
+  const isolated =
+    (!previous || previous.y - line.y > lineHeight * 1.8) && (!next || line.y - next.y > lineHeight * 1.8);
+  const centre = (line.x + line.right) / 2;
+  const centred = Math.abs(centre - page.width / 2) < page.width * 0.05 && line.x > page.width * 0.2;
+  if (isolated && centred && line.text.length <= 60 && !/[.:;,]$/.test(line.text)) return sizes.length + 1;
+  return 0;
+}
+
+function escapeCell(text) {
+  return text.replace(/\|/g, '\\|');
+}
+
+function formatTable(rows) {
+  const width = Math.max(...rows.map((row) => row.cells.length));
+  const pad = (cells) => [...cells, ...Array(width - cells.length).fill('')];
+  const toRow = (cells) => `| ${pad(cells).map(escapeCell).join(' | ')} |`;
+  const [header, ...body] = rows.map((row) => row.cells.map((cell) => cell.text));
+  return [toRow(header), `| ${Array(width).fill('---').join(' | ')} |`, ...body.map(toRow)].join('\n');
+}
+
+// Joins the lines of a paragraph. A line ending in a hyphen runs on into the
+// next with the hyphen kept, so "non-" + "executive" stays "non-executive".
+function joinLines(lines) {
+  return lines.reduce((text, line) => (/\w-$/.test(text) && /^\w/.test(line) ? text + line : `${text} ${line}`));
+}
+
+// Renders the lines of one page as Markdown blocks.
+function renderPage(page, body, sizes) {
+  const blocks = [];
+  let paragraph = [];
+  let table = [];
+  const lineHeight = body * 1.2;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) blocks.push(joinLines(paragraph));
+    paragraph = [];
+  };
+  const flushTable = () => {
+    if (table.length >= 2) {
+      blocks.push(formatTable(table));
+    } else {
+      for (const row of table) paragraph.push(row.text);
+      flushParagraph();
+    }
+    table = [];
+  };
+
+  page.lines.forEach((line, i) => {
+    const previous = page.lines[i - 1];
+    const next = page.lines[i + 1];
+
+    if (line.cells.length >= 2) {
+      if (table.length > 0 && table[0].cells.length !== line.cells.length) flushTable();
+      flushParagraph();
+      table.push(line);
+      return;
+    }
+    if (table.length > 0) flushTable();
+
+    const level = headingLevel(line, { page, previous, next, body, sizes });
+    if (level > 0) {
+      flushParagraph();
+      blocks.push(`${'#'.repeat(level)} ${line.text}`);
+      return;
+    }
+    if (BULLET_PATTERN.test(line.text)) {
+      flushParagraph();
+      paragraph.push(`- ${line.text.replace(BULLET_PATTERN, '')}`);
+      return;
+    }
+    if (/^(\d+[.)]|[a-z][.)])\s/i.test(line.text)) flushParagraph();
+    else if (previous && previous.y - line.y > lineHeight * 1.5) flushParagraph();
+    paragraph.push(line.text);
+  });
+  flushTable();
+  flushParagraph();
+  return blocks;
+}
+
+// PDF dates look like D:20240131093000+01'00'. Returns YYYY-MM-DD or null.
+function parsePdfDate(value) {
+  const match = /^(?:D:)?(\d{4})(\d{2})?(\d{2})?/.exec(String(value || ''));
+  if (!match) return null;
+  return [match[1], match[2] || '01', match[3] || '01'].join('-');
+}
+
+function yamlValue(value) {
+  if (typeof value === 'number') return String(value);
+  return JSON.stringify(String(value));
+}
+
+function formatFrontMatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => `${key}: ${yamlValue(value)}`);
+  return ['---', ...lines, '---'].join('\n');
+}
+
+// `layouts` are the results of readPageLayout for each page, `info` is the
+// PDF's document information dictionary.
+function layoutToMarkdown(layouts, { info = {}, pageCount = layouts.length, source = null } = {}) {
+  const pages = dropPageFurniture(layouts.map((layout) => ({ ...layout, lines: groupLines(layout.runs) })));
+  const body = bodyFontSize(pages);
+  const sizes = headingSizes(pages, body);
+  const rendered = pages.map((page) => renderPage(page, body, sizes));
+
+  const firstHeading = rendered.flat().find((block) => block.startsWith('#'));
+  const title = (info.Title || '').trim() || (firstHeading ? firstHeading.replace(/^#+\s*/, '') : null);
+  const frontMatter = formatFrontMatter({
+    title,
+    author: (info.Author || '').trim() || null,
+    pages: pageCount,
+    created: parsePdfDate(info.CreationDate),
+    modified: parsePdfDate(info.ModDate),
+    source,
+  });
+
+  const sections = rendered.map((blocks, i) => [`<!-- page ${i + 1} -->`, ...blocks].join('\n\n'));
+  return `${frontMatter}\n\n${sections.join('\n\n')}\n`;
+}
+
+module.exports = {
+  readPageLayout,
+  groupLines,
+  dropPageFurniture,
+  parsePdfDate,
+  layoutToMarkdown,
+};
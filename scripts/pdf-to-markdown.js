@@ -1,127 +1,179 @@
 const fs = require("node:fs");
 const path = require("node:path");
 const pdf = require("pdf-parse");
-const chalk = require("chalk");
-const cliProgress = require("cli-progress");
+const { CliError, EXIT_CODES } = require("./cli");
+const { BuildManifest, hashContent, hashFiles } = require("./build-manifest");
+const { layoutToMarkdown, readPageLayout } = require("./pdf-layout");
+const { readProcessedReports } = require("./report-index");
+const {
+  CROSSCHECK_FILE,
+  QUESTIONS_SUFFIX,
+  crossCheckSurvey,
+  extractSurveyQuestions,
+} = require("./survey-questions");
 
-// This script will take two arguments:
+// Runs `lintstock build surveys` and `lintstock build proposals`. Options:
 // --input-dir: the directory to read PDFs from
 // --output-dir: the directory to write Markdown files to
+// --force: convert every PDF, even if it is unchanged since the last build
+// --reports-dir (surveys only): processed reports to cross-check survey questions against
+// Any positional arguments are PDF files to convert instead of the whole input directory.
 
+// Any change to this converter changes every output.
+const CONVERTER_VERSION = hashFiles([
+  __filename,
+  path.join(__dirname, "pdf-layout.js"),
+  path.join(__dirname, "survey-questions.js"),
+]);
+
+// Rebuilds headings, tables and paragraphs from the text layout of each page
+// (see pdf-layout.js) and adds front matter from the PDF's metadata.
 async function convertPdfToMarkdown(pdfPath) {
   const dataBuffer = fs.readFileSync(pdfPath);
-  const data = await pdf(dataBuffer);
-  return data.text;
+  const layouts = [];
+  const data = await pdf(dataBuffer, {
+    pagerender: async (pageData) => {
+      layouts[pageData.pageIndex] = await readPageLayout(pageData);
+      return "";
+    },
+  });
+  return layoutToMarkdown(layouts.filter(Boolean), {
+    info: data.info || {},
+    pageCount: data.numpages,
+    source: path.basename(pdfPath),
+  });
 }
 
-// --- Argument Parsing ---
-const args = process.argv.slice(2);
-let inputDir = null;
-let outputDir = null;
-
-for (let i = 0; i < args.length; i++) {
-  if (args[i] === "--input-dir") {
-    const dir = args[i + 1];
-    if (dir && !dir.startsWith("-")) {
-      inputDir = dir;
-      i++; // Skip the value
-    }
-  } else if (args[i] === "--output-dir") {
-    const dir = args[i + 1];
-    if (dir && !dir.startsWith("-")) {
-      outputDir = dir;
-      i++; // Skip the value
-    }
+function listPdfFiles(inputDir, explicitFiles, ctx) {
+  if (explicitFiles.length > 0) {
+    return explicitFiles.filter((file) => file.toLowerCase().endsWith(".pdf"));
   }
-}
-
-if (!inputDir || !outputDir) {
-  console.error(
-    chalk.red("Both --input-dir and --output-dir must be provided."),
-  );
-  process.exit(1);
-}
-
-// --- File Processing ---
-let filePaths = [];
-try {
-  if (fs.existsSync(inputDir) && fs.statSync(inputDir).isDirectory()) {
-    const allFiles = fs.readdirSync(inputDir);
-    filePaths = allFiles
+  if (!fs.existsSync(inputDir) || !fs.statSync(inputDir).isDirectory()) {
+    throw new CliError(`Input directory '${inputDir}' not found or is not a directory.`);
+  }
+  try {
+    const filePaths = fs
+      .readdirSync(inputDir)
       .filter((file) => file.toLowerCase().endsWith(".pdf"))
       .map((file) => path.join(inputDir, file));
-    console.log(
-      chalk.blue(
-        `Found ${filePaths.length} PDF files in '${inputDir}' directory.`,
-      ),
-    );
-  } else {
-    console.error(
-      chalk.red(
-        `Input directory '${inputDir}' not found or is not a directory.`,
-      ),
-    );
-    process.exit(1);
+    ctx.info(`Found ${filePaths.length} PDF files in '${inputDir}' directory.`);
+    return filePaths;
+  } catch (err) {
+    throw new CliError(`Error reading from input directory '${inputDir}': ${err.message}`);
   }
-} catch (err) {
-  console.error(
-    chalk.red(`Error reading from input directory '${inputDir}':`),
-    err,
-  );
-  process.exit(1);
 }
 
-if (filePaths.length === 0) {
-  console.log(chalk.yellow("No PDF files to process."));
-  process.exit(0);
+// Cross-checks the questions of every survey in `outputDir` against the
+// processed reports and writes the result to _crosscheck.json.
+function writeSurveyCrossCheck(outputDir, reportsDir, ctx) {
+  const workbooks = readProcessedReports(reportsDir);
+  const results = fs
+    .readdirSync(outputDir)
+    .filter((file) => file.endsWith(QUESTIONS_SUFFIX))
+    .map((file) => JSON.parse(fs.readFileSync(path.join(outputDir, file), "utf8")))
+    .map((survey) => crossCheckSurvey(survey, workbooks));
+  const filePath = path.join(outputDir, CROSSCHECK_FILE);
+  fs.writeFileSync(filePath, JSON.stringify({ generated_at: new Date().toISOString(), surveys: results }, null, 2));
+
+  const issues = results.reduce((total, result) => total + result.issues.length, 0);
+  const log = issues > 0 ? ctx.warn : ctx.success;
+  log(`\nSurvey cross-check: ${issues} issue(s) in ${results.length} survey(s). Details in ${filePath}`);
+  return { file: filePath, issues };
 }
 
-async function main() {
+// With `questions` set (as for surveys), each PDF also gets a
+// <name>.questions.json file of its structured questions.
+async function buildPdfs(options, explicitFiles, ctx) {
+  const inputDir = options["input-dir"];
+  const outputDir = options["output-dir"];
+  if ((!inputDir && explicitFiles.length === 0) || !outputDir) {
+    throw new CliError("Both --input-dir and --output-dir must be provided.", EXIT_CODES.USAGE);
+  }
+  const filePaths = listPdfFiles(inputDir, explicitFiles, ctx);
+
   if (!fs.existsSync(outputDir)) {
     try {
       fs.mkdirSync(outputDir, { recursive: true });
-      console.log(chalk.green(`Created output directory: ${outputDir}`));
+      ctx.success(`Created output directory: ${outputDir}`);
     } catch (err) {
-      console.error(
-        chalk.red(`Error creating output directory ${outputDir}:`),
-        err,
-      );
-      process.exit(1);
+      throw new CliError(`Error creating output directory ${outputDir}: ${err.message}`);
     }
   }
 
-  const progressBar = new cliProgress.SingleBar({
-    format: `${chalk.cyan("{bar}")} | {percentage}% | {value}/{total} | {filename}`,
-    barCompleteChar: "\u2588",
-    barIncompleteChar: "\u2591",
-    hideCursor: true,
-  });
+  const manifest = new BuildManifest(outputDir);
+  const buildOptions = hashContent(Boolean(options.questions));
+  const outputs = [];
+  const failed = [];
+  let skippedCount = 0;
 
-  progressBar.start(filePaths.length, 0, {
-    filename: "N/A",
-  });
+  if (filePaths.length === 0) {
+    ctx.warn("No PDF files to process.");
+  }
+
+  const progressBar = ctx.progress(filePaths.length);
+  progressBar.start();
 
   for (const filePath of filePaths) {
     try {
       progressBar.update({ filename: path.basename(filePath) });
+      const fingerprint = {
+        hash: hashFiles([filePath]),
+        converter: CONVERTER_VERSION,
+        options: buildOptions,
+      };
+      if (!options.force && manifest.isUpToDate(filePath, fingerprint)) {
+        skippedCount++;
+        continue;
+      }
       const markdownContent = await convertPdfToMarkdown(filePath);
       const baseName = path.basename(filePath, path.extname(filePath));
       const outputFilePath = path.join(outputDir, `${baseName}.md`);
 
       fs.writeFileSync(outputFilePath, markdownContent);
+      const written = [outputFilePath];
+      if (options.questions) {
+        const questionsPath = path.join(outputDir, `${baseName}${QUESTIONS_SUFFIX}`);
+        const survey = extractSurveyQuestions(markdownContent, { source: path.basename(filePath) });
+        fs.writeFileSync(questionsPath, JSON.stringify(survey, null, 2));
+        written.push(questionsPath);
+      }
+      manifest.record(filePath, fingerprint, written.map((file) => path.basename(file)));
+      outputs.push(...written);
     } catch (err) {
       progressBar.stop();
-      console.error(chalk.red(`\nError processing ${filePath}:`), err.message);
+      ctx.error(`\nError processing ${filePath}:`, err.message);
+      manifest.remove(filePath);
+      failed.push(filePath);
     } finally {
       progressBar.increment();
     }
   }
 
   progressBar.stop();
-  console.log(chalk.green("\nConversion complete."));
+
+  if (skippedCount > 0) {
+    ctx.info(`\nSkipped ${skippedCount} unchanged file(s). Use --force to rebuild them.`);
+  }
+  const removed = manifest.prune();
+  for (const removedPath of removed) {
+    ctx.warn(`Removed ${removedPath} (source file no longer exists)`);
+  }
+  manifest.save();
+  ctx.success("\nConversion complete.");
+
+  let crossCheck;
+  if (options.questions) {
+    try {
+      crossCheck = writeSurveyCrossCheck(outputDir, options["reports-dir"], ctx);
+    } catch (err) {
+      ctx.error("\nError cross-checking survey questions:", err.message);
+    }
+  }
+
+  if (failed.length > 0) {
+    ctx.exitCode = EXIT_CODES.FAILURE;
+  }
+  return { processed: outputs.length, skipped: skippedCount, failed, removed, outputs, cross_check: crossCheck };
 }
 
-main().catch((err) => {
-  console.error(chalk.red("An unexpected error occurred:"), err);
-  process.exit(1);
-});
\ No newline at end of file
+module.exports = { convertPdfToMarkdown, buildPdfs };
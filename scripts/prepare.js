@@ -1,122 +1,198 @@
 const fs = require("node:fs");
 const path = require("node:path");
-const chalk = require("chalk");
-const cliProgress = require("cli-progress");
-const { parseSpreadsheetBuffer } = require("./spreadsheet-to-json");
+const { CliError, EXIT_CODES } = require("./cli");
+const { parseSpreadsheetFile, sidecarPath } = require("./spreadsheet-to-json");
+const { BuildManifest, hashContent, hashFiles } = require("./build-manifest");
+const { isIndexFile, readProcessedReports, writeReportIndex } = require("./report-index");
+const { writeContextBriefs } = require("./report-briefs");
+const { PARTS_DIR, mergeReviews } = require("./report-merge");
+const { saveConfig } = require("./config");
+const { resolveHeadersInteractively } = require("./header-resolver");
+const {
+	formatIssueLocation,
+	issuesFromError,
+	summariseIssues,
+	writeValidationReport,
+} = require("./validation-report");
+const {
+	QuestionRegistry,
+	loadQuestionAliases,
+	saveQuestionAliases,
+} = require("./question-identity");
+const {
+	RespondentRegistry,
+	loadRespondentAliases,
+	saveRespondentAliases,
+} = require("./respondent-identity");
+const {
+	loadPseudonymKey,
+	pseudonymiseIssues,
+	pseudonymiseSpreadsheet,
+	savePseudonymKey,
+} = require("./pseudonymise");
 
-// Example (single file, filtered): node scripts/prepare.js --question 4 --outdir ./output data/some-file.xlsx
-// Example (multiple files, unfiltered): node scripts/prepare.js data/file1.xlsx data/file2.xlsx
-// Example (all files in data/, unfiltered): node scripts/prepare.js
+const REPORT_EXTENSIONS = [".xlsx", ".xls", ".csv", ".tsv"];
+const DEFAULT_DATA_DIR = "data/reports";
 
-async function processLocalExcelFile(localFilePath) {
-	const fileContent = fs.readFileSync(localFilePath);
-	return parseSpreadsheetBuffer(fileContent);
+// .xlsx workbooks, .csv/.tsv exports (details from leading metadata rows or a
+// `<name>.details.json` sidecar) and legacy .xls files are all supported.
+async function processLocalExcelFile(localFilePath, config) {
+	return parseSpreadsheetFile(localFilePath, { headerConfig: config.headers, scoreConfig: config.scores });
 }
 
-// --- Argument Parsing ---
-const args = process.argv.slice(2);
-let filePaths = [];
-let questionNumber = null;
-let outDir = "context/reports"; // Default output directory
-
-for (let i = 0; i < args.length; i++) {
-	if (args[i] === "--question") {
-		const qNum = args[i + 1];
-		if (qNum && !qNum.startsWith("-")) {
-			const parsed = Number.parseInt(qNum, 10);
-			if (!Number.isNaN(parsed)) {
-				questionNumber = parsed;
-			}
-			i++; // Skip the value
+// Changes to the parser, respondent resolution or pseudonymisation change
+// every output.
+const CONVERTER_VERSION = hashFiles([
+	path.join(__dirname, "spreadsheet-to-json.js"),
+	path.join(__dirname, "score-scales.js"),
+	path.join(__dirname, "respondent-identity.js"),
+	path.join(__dirname, "pseudonymise.js"),
+]);
+
+// Merges the workbooks in PARTS_DIR that belong to the same client and review
+// date, writes one file per review to the output directory and returns their
+// paths. Conflicts are added to `validationIssues`.
+function writeMergedReviews(outDir, manifest, validationIssues, ctx) {
+	const workbooks = Object.entries(manifest.entries)
+		.filter(([, entry]) => entry.outputs.every((output) => output.startsWith(`${PARTS_DIR}/`)))
+		.sort(([a], [b]) => a.localeCompare(b))
+		.flatMap(([source, entry]) =>
+			entry.outputs.map((output) => ({
+				...JSON.parse(fs.readFileSync(path.join(outDir, output), "utf8")),
+				source,
+			})),
+		);
+	const written = [];
+	for (const { file, review, conflicts } of mergeReviews(workbooks)) {
+		const filePath = path.join(outDir, file);
+		fs.writeFileSync(filePath, JSON.stringify(review, null, 2));
+		written.push(filePath);
+		if (review.merged_from.length > 1) {
+			ctx.info(`Merged ${review.merged_from.join(", ")} into ${filePath}`);
 		}
-	} else if (args[i] === "--outdir") {
-		const dir = args[i + 1];
-		if (dir && !dir.startsWith("-")) {
-			outDir = dir;
-			i++; // Skip the value
+		for (const conflict of conflicts) {
+			validationIssues.push({
+				workbook: filePath,
+				level: "warning",
+				code: "merge_conflict",
+				message: conflict.message,
+				sheet: conflict.report_name,
+				row: null,
+			});
+		}
+		if (conflicts.length > 0) {
+			ctx.warn(`${conflicts.length} conflict(s) merging ${filePath}; see the validation report.`);
 		}
-	} else {
-		filePaths.push(args[i]);
 	}
+	return written;
 }
 
-// If no file paths are provided, default to all files in the 'data' directory
-if (filePaths.length === 0) {
-	const dataDir = "data/reports";
-	try {
-		if (fs.existsSync(dataDir) && fs.statSync(dataDir).isDirectory()) {
-			const allFiles = fs.readdirSync(dataDir);
-			// Filter out subdirectories and non-spreadsheet files if necessary
-			filePaths = allFiles
-				.map((file) => path.join(dataDir, file))
-				.filter((filePath) => {
-					const stat = fs.statSync(filePath);
-					// Add any other relevant extensions if needed
-					return (
-						stat.isFile() &&
-						(filePath.endsWith(".xlsx") ||
-							filePath.endsWith(".xls") ||
-							filePath.endsWith(".csv"))
-					);
-				});
-			console.log(
-				chalk.blue(
-					`No input files specified, processing all compatible files in '${dataDir}' directory.`,
-				),
-			);
-		} else {
-			console.error(
-				chalk.red(
-					`Default data directory '${dataDir}' not found or is not a directory.`,
-				),
-			);
-			process.exit(1);
+// Deletes merged reviews that were not written by this build: reviews whose
+// workbooks have all been removed, or every merged review when merging is
+// off.
+function removeStaleMergedReviews(outDir, keep) {
+	const removed = [];
+	if (!fs.existsSync(outDir)) return removed;
+	for (const file of fs.readdirSync(outDir)) {
+		const filePath = path.join(outDir, file);
+		if (!file.endsWith(".json") || isIndexFile(file) || keep.includes(filePath)) continue;
+		try {
+			if (!JSON.parse(fs.readFileSync(filePath, "utf8")).merged_from) continue;
+		} catch {
+			continue;
 		}
-	} catch (err) {
-		console.error(
-			chalk.red(`Error reading from data directory '${dataDir}':`),
-			err,
-		);
-		process.exit(1);
+		fs.rmSync(filePath);
+		removed.push(filePath);
+	}
+	const partsDir = path.join(outDir, PARTS_DIR);
+	if (keep.length === 0 && fs.existsSync(partsDir) && fs.readdirSync(partsDir).length === 0) {
+		fs.rmdirSync(partsDir);
 	}
+	return removed;
 }
 
-if (filePaths.length === 0) {
-	console.log(
-		chalk.yellow(
-			"No files to process. Please provide file paths or ensure the 'data/reports' directory has compatible files.",
-		),
-	);
-	process.exit(0);
+function listReportFiles(dataDir) {
+	if (!fs.existsSync(dataDir) || !fs.statSync(dataDir).isDirectory()) {
+		throw new CliError(`Default data directory '${dataDir}' not found or is not a directory.`);
+	}
+	return fs
+		.readdirSync(dataDir)
+		.map((file) => path.join(dataDir, file))
+		.filter((filePath) => {
+			const stat = fs.statSync(filePath);
+			return stat.isFile() && REPORT_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+		});
 }
 
-async function main() {
+// Runs `lintstock build reports`. Options are described in scripts/commands.js.
+async function buildReports(options, inputFiles, ctx) {
+	const { config } = ctx;
+	const outDir = options.outdir;
+	const questionNumber = options.question ?? null;
+	const keyFile = options["key-file"];
+
+	let filePaths = inputFiles;
+	// If no file paths are provided, default to all files in the 'data' directory
+	if (filePaths.length === 0) {
+		filePaths = listReportFiles(DEFAULT_DATA_DIR);
+		ctx.info(`No input files specified, processing all compatible files in '${DEFAULT_DATA_DIR}' directory.`);
+	}
+
+	if (filePaths.length === 0) {
+		ctx.warn(
+			`No files to process. Please provide file paths or ensure the '${DEFAULT_DATA_DIR}' directory has compatible files.`,
+		);
+	}
+
+	if (options["resolve-headers"]) {
+		try {
+			const resolved = await resolveHeadersInteractively(filePaths, config);
+			if (resolved > 0) {
+				saveConfig(config, options.config);
+				ctx.success(`\nSaved ${resolved} header mapping(s) to ${options.config}\n`);
+			}
+		} catch (err) {
+			throw new CliError(`Error resolving headers: ${err.message}`);
+		}
+	}
+
 	// Create output directory if it doesn't exist
 	if (!fs.existsSync(outDir)) {
 		try {
 			fs.mkdirSync(outDir, { recursive: true });
-			console.log(chalk.green(`Created output directory: ${outDir}`));
+			ctx.success(`Created output directory: ${outDir}`);
 		} catch (err) {
-			console.error(
-				chalk.red(`Error creating output directory ${outDir}:`),
-				err,
-			);
-			process.exit(1);
+			throw new CliError(`Error creating output directory ${outDir}: ${err.message}`);
 		}
 	}
 
-	const progressBar = new cliProgress.SingleBar({
-		format: `${chalk.cyan("{bar}")} | {percentage}% | {value}/{total} | {filename}`,
-		barCompleteChar: "\u2588",
-		barIncompleteChar: "\u2591",
-		hideCursor: true,
-	});
-
-	progressBar.start(filePaths.length, 0, {
-		filename: "N/A",
-	});
+	const progressBar = ctx.progress(filePaths.length);
+	progressBar.start();
 
 	const allUnmatchedHeaders = new Map();
+	const validationIssues = [];
+	const outputs = [];
+	const failed = [];
+	let pseudonymKey = null;
+	if (options.pseudonymise) {
+		try {
+			pseudonymKey = loadPseudonymKey(keyFile);
+		} catch (err) {
+			throw new CliError(`Error loading pseudonym key: ${err.message}`);
+		}
+	}
+	const questionRegistry = new QuestionRegistry(loadQuestionAliases(options.aliases), {
+		threshold: options.similarity,
+	});
+	let respondentRegistry;
+	try {
+		respondentRegistry = new RespondentRegistry(loadRespondentAliases(options["respondent-aliases"]));
+	} catch (err) {
+		throw new CliError(`Error loading respondent aliases: ${err.message}`);
+	}
+	const manifest = new BuildManifest(outDir);
+	const buildOptions = hashContent(config.headers, config.scores, questionNumber, options.pseudonymise, options.merge);
+	let skippedCount = 0;
 
 	for (const filePath of filePaths) {
 		try {
@@ -125,7 +201,54 @@ async function main() {
 				progressBar.increment();
 				continue;
 			}
-			const json = await processLocalExcelFile(filePath);
+			const fingerprint = {
+				hash: hashFiles([filePath, sidecarPath(filePath)]),
+				converter: CONVERTER_VERSION,
+				options: buildOptions,
+			};
+			if (!options.force && manifest.isUpToDate(filePath, fingerprint)) {
+				// Question IDs depend on the alias file rather than the source, so
+				// they are reapplied to the existing output without re-parsing.
+				const entry = manifest.get(filePath);
+				const existingPath = path.join(outDir, entry.outputs[0]);
+				const existing = JSON.parse(fs.readFileSync(existingPath, "utf8"));
+				const before = JSON.stringify(existing, null, 2);
+				const idIssues = questionRegistry.assignIds(existing);
+				// Pseudonymised output holds codes rather than names, so it is
+				// left alone; rebuild with --force after editing the alias file.
+				if (!options.pseudonymise) {
+					respondentRegistry.assignIds(existing);
+				}
+				const after = JSON.stringify(existing, null, 2);
+				if (after !== before) {
+					fs.writeFileSync(existingPath, after);
+				}
+				validationIssues.push(
+					...(entry.issues || []),
+					...idIssues.map((issue) => ({ workbook: filePath, ...issue })),
+				);
+				if (existing.unmatchedHeaders && existing.unmatchedHeaders.length > 0) {
+					allUnmatchedHeaders.set(filePath, existing.unmatchedHeaders);
+				}
+				skippedCount++;
+				continue;
+			}
+
+			const json = await processLocalExcelFile(filePath, config);
+			let fileIssues = json.issues.map((issue) => ({ workbook: filePath, ...issue }));
+			// Question ID conflicts depend on the alias file, so they are found
+			// again on every build rather than recorded in the manifest.
+			const idIssues = questionRegistry.assignIds(json);
+			// Names are resolved before pseudonymising, so every spelling of a
+			// person's name gets the same code.
+			const spellings = respondentRegistry.assignIds(json);
+			if (pseudonymKey) {
+				pseudonymiseSpreadsheet(json, pseudonymKey);
+				// Issue messages quote names and answers, and are written to the
+				// validation report and manifest next to the output.
+				fileIssues = pseudonymiseIssues(fileIssues, json.client_name, pseudonymKey, spellings);
+			}
+			validationIssues.push(...fileIssues, ...idIssues.map((issue) => ({ workbook: filePath, ...issue })));
 
 			if (questionNumber !== null) {
 				if (json.reports && Array.isArray(json.reports)) {
@@ -142,16 +265,24 @@ async function main() {
 
 			const outputJson = JSON.stringify(json, null, 2);
 			const baseName = path.basename(filePath, path.extname(filePath));
-			const outputFilePath = path.join(outDir, `${baseName}.json`);
+			const outputName = options.merge ? `${PARTS_DIR}/${baseName}.json` : `${baseName}.json`;
+			const outputFilePath = path.join(outDir, outputName);
 
 			try {
+				fs.mkdirSync(path.dirname(outputFilePath), { recursive: true });
 				fs.writeFileSync(outputFilePath, outputJson);
+				// Outputs written under another name by an earlier build (with or
+				// without --merge) would otherwise be left behind.
+				for (const previous of manifest.get(filePath)?.outputs ?? []) {
+					if (previous !== outputName) fs.rmSync(path.join(outDir, previous), { force: true });
+				}
+				manifest.record(filePath, fingerprint, [outputName], { issues: fileIssues });
+				outputs.push(outputFilePath);
 			} catch (writeErr) {
+				manifest.remove(filePath);
+				failed.push(filePath);
 				progressBar.stop();
-				console.error(
-					chalk.red(`\nError writing to ${outputFilePath}:`),
-					writeErr,
-				);
+				ctx.error(`\nError writing to ${outputFilePath}:`, writeErr.message);
 			}
 
 			if (json.unmatchedHeaders && json.unmatchedHeaders.length > 0) {
@@ -159,7 +290,10 @@ async function main() {
 			}
 		} catch (err) {
 			progressBar.stop();
-			console.error(chalk.red(`\nError processing ${filePath}:`), err.message);
+			ctx.error(`\nError processing ${filePath}:`, err.message);
+			failed.push(filePath);
+			validationIssues.push(...issuesFromError(err, filePath));
+			manifest.remove(filePath);
 		} finally {
 			progressBar.increment();
 		}
@@ -167,23 +301,133 @@ async function main() {
 
 	progressBar.stop();
 
+	if (skippedCount > 0) {
+		ctx.info(`\nSkipped ${skippedCount} unchanged file(s). Use --force to rebuild them.`);
+	}
+	const removedOutputs = manifest.prune();
+	for (const removed of removedOutputs) {
+		ctx.warn(`Removed ${removed} (source file no longer exists)`);
+	}
+	let mergedOutputs = [];
+	try {
+		if (options.merge) {
+			mergedOutputs = writeMergedReviews(outDir, manifest, validationIssues, ctx);
+		}
+		for (const removed of removeStaleMergedReviews(outDir, mergedOutputs)) {
+			ctx.warn(`Removed ${removed} (merged review no longer built)`);
+			removedOutputs.push(removed);
+		}
+	} catch (err) {
+		ctx.error("\nError merging reviews:", err.message);
+		ctx.exitCode = EXIT_CODES.FAILURE;
+	}
+	try {
+		manifest.save();
+	} catch (err) {
+		ctx.error("\nError writing build manifest:", err.message);
+	}
+
+	if (pseudonymKey) {
+		try {
+			savePseudonymKey(pseudonymKey, keyFile);
+			ctx.success(`\nRespondent names replaced with codes. Key saved to ${keyFile} (keep this file private).`);
+		} catch (err) {
+			ctx.error(`\nError writing pseudonym key to ${keyFile}:`, err.message);
+		}
+	}
+
+	if (questionRegistry.changed) {
+		try {
+			saveQuestionAliases(questionRegistry.aliases, options.aliases);
+			const fuzzyCount = Object.keys(questionRegistry.aliases.fuzzy_matches).length;
+			ctx.success(`\nUpdated question aliases: ${options.aliases}`);
+			if (fuzzyCount > 0) {
+				ctx.warn(
+					`${fuzzyCount} question(s) were matched by similarity. Review "fuzzy_matches" in ${options.aliases} to confirm or override them.`,
+				);
+			}
+		} catch (err) {
+			ctx.error(`\nError writing question aliases to ${options.aliases}:`, err.message);
+		}
+	}
+
+	if (respondentRegistry.changed) {
+		try {
+			saveRespondentAliases(respondentRegistry.aliases, options["respondent-aliases"]);
+			ctx.success(`\nUpdated respondent aliases: ${options["respondent-aliases"]}`);
+			if (respondentRegistry.fuzzyCount > 0) {
+				ctx.warn(
+					`${respondentRegistry.fuzzyCount} respondent name(s) were matched to a person with a similar name. Review "fuzzy_matches" in ${options["respondent-aliases"]} to confirm or override them.`,
+				);
+			}
+		} catch (err) {
+			ctx.error(`\nError writing respondent aliases to ${options["respondent-aliases"]}:`, err.message);
+		}
+	}
+
+	// Rebuild the cross-report index from every processed workbook in the
+	// output directory, so partial runs still produce a complete index.
+	let processed = [];
+	try {
+		processed = readProcessedReports(outDir);
+		const indexPaths = writeReportIndex(outDir, processed);
+		ctx.success(`\nWrote report index: ${indexPaths.join(", ")}`);
+	} catch (err) {
+		ctx.error("\nError writing report index:", err.message);
+	}
+
+	// Markdown context for the LLM session: the data dictionary and a brief
+	// per client.
+	try {
+		const briefPaths = writeContextBriefs(outDir, processed);
+		ctx.success(`\nWrote data dictionary and ${briefPaths.length - 1} client brief(s) to ${outDir}`);
+	} catch (err) {
+		ctx.error("\nError writing context briefs:", err.message);
+	}
+
 	if (allUnmatchedHeaders.size > 0) {
-		console.log(
-			chalk.yellow(
-				"\n[UNMATCHED HEADERS] The following headers were not mapped:",
-			),
+		ctx.warn(
+			"\n[UNMATCHED HEADERS] The following headers were not mapped (run with --resolve-headers to map them):",
 		);
 		for (const [filePath, headers] of allUnmatchedHeaders.entries()) {
-			console.log(chalk.yellow(`\nFile: ${filePath}`));
+			ctx.warn(`\nFile: ${filePath}`);
 			for (const h of headers) {
-				console.log(chalk.yellow("-", h));
+				ctx.warn("-", h);
 			}
 		}
 	}
-	console.log();
+
+	const { errors, warnings } = summariseIssues(validationIssues);
+	let reportPath = null;
+	try {
+		reportPath = writeValidationReport(outDir, validationIssues);
+		const log = errors > 0 ? ctx.error : warnings > 0 ? ctx.warn : ctx.success;
+		log(`\nValidation: ${errors} error(s), ${warnings} warning(s). Details in ${reportPath}`);
+		for (const issue of validationIssues.filter((i) => i.level === "error")) {
+			ctx.error(`- ${formatIssueLocation(issue)}: ${issue.message}`);
+		}
+	} catch (err) {
+		ctx.error("\nError writing validation report:", err.message);
+	}
+	ctx.print();
+
+	if (failed.length > 0) {
+		ctx.exitCode = EXIT_CODES.FAILURE;
+	}
+	if (options.strict && validationIssues.length > 0) {
+		ctx.error("Strict mode: failing because of validation issues.");
+		ctx.exitCode = EXIT_CODES.FAILURE;
+	}
+
+	return {
+		processed: outputs.length,
+		skipped: skippedCount,
+		failed,
+		removed: removedOutputs,
+		outputs,
+		merged: mergedOutputs,
+		validation: { errors, warnings, report: reportPath },
+	};
 }
 
-main().catch((err) => {
-	console.error(chalk.red("An unexpected error occurred:"), err);
-	process.exit(1);
-});
+module.exports = { REPORT_EXTENSIONS, buildReports };
@@ -0,0 +1,126 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+// Respondent pseudonymisation. Names are replaced with a code made from the
+// respondent's position and an index, e.g. "Non-Executive Director 3". Codes
+// are unique across all clients so that any generated output can be
+// re-identified without knowing which client it is about.
+//
+// The name-to-code key is kept in a local, git-ignored file outside context/
+// so it is never sent to the LLM:
+//
+// {
+//   "clients": { "Acme plc": { "Jane Smith": "Chair 1" } },
+//   "codes": { "Chair 1": { "name": "Jane Smith", "client_name": "Acme plc" } }
+// }
+
+const DEFAULT_KEY_FILE = '.pseudonym-key.json';
+const DEFAULT_ROLE = 'Respondent';
+const FORBIDDEN_KEY_DIRS = ['context'];
+
+function emptyKey() {
+  return { clients: {}, codes: {} };
+}
+
+// Throws if the key file would be written somewhere the LLM can read it.
+function assertKeyFileLocation(filePath) {
+  const relative = path.relative(process.cwd(), path.resolve(filePath));
+  const topDir = relative.split(path.sep)[0];
+  if (FORBIDDEN_KEY_DIRS.includes(topDir)) {
+    throw new Error(`Pseudonym key file must not be placed under ${topDir}/: ${filePath}`);
+  }
+}
+
+function loadPseudonymKey(filePath = DEFAULT_KEY_FILE) {
+  assertKeyFileLocation(filePath);
+  if (!fs.existsSync(filePath)) return emptyKey();
+  return { ...emptyKey(), ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+}
+
+function savePseudonymKey(key, filePath = DEFAULT_KEY_FILE) {
+  assertKeyFileLocation(filePath);
+  fs.writeFileSync(filePath, JSON.stringify(key, null, 2), { mode: 0o600 });
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Replaces whole-word occurrences of each key of `replacements` in `text`,
+// longest first so that "Chair 1" never clobbers part of "Chair 12".
+function replaceAll(text, replacements) {
+  const keys = Object.keys(replacements)
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+  if (keys.length === 0) return text;
+  const pattern = new RegExp(`(?<![\\w])(${keys.map(escapeRegExp).join('|')})(?![\\w])`, 'g');
+  return text.replace(pattern, (match) => replacements[match]);
+}
+
+function nextCode(key, role) {
+  let index = 1;
+  while (key.codes[`${role} ${index}`]) index++;
+  return `${role} ${index}`;
+}
+
+function codeFor(key, client_name, name, position) {
+  if (!key.clients[client_name]) key.clients[client_name] = {};
+  const clientKey = key.clients[client_name];
+  if (!clientKey[name]) {
+    const role = String(position || '').trim() || DEFAULT_ROLE;
+    const code = nextCode(key, role);
+    clientKey[name] = code;
+    key.codes[code] = { name, client_name };
+  }
+  return clientKey[name];
+}
+
+// Replaces respondent names in a parsed workbook with codes, updating `key`
+// with any new respondents. Names mentioned in free text are replaced too.
+function pseudonymiseSpreadsheet(spreadsheet, key) {
+  const { client_name } = spreadsheet;
+  const names = {};
+  for (const r of spreadsheet.respondees) {
+    names[r.name] = codeFor(key, client_name, r.name, r.position);
+  }
+  spreadsheet.respondees = spreadsheet.respondees.map((r) => ({ ...r, name: names[r.name] }));
+  for (const report of spreadsheet.reports) {
+    for (const question of report.questions) {
+      for (const response of question.responses) {
+        response.respondent = names[response.respondent] || codeFor(key, client_name, response.respondent);
+        for (const field of ['comment', 'response', 'skip_reason']) {
+          if (response[field]) response[field] = replaceAll(response[field], names);
+        }
+      }
+    }
+  }
+  return spreadsheet;
+}
+
+// Replaces respondent names in the messages of a workbook's validation issues,
+// which are written to context/ alongside the pseudonymised output. Every
+// name in the key for the client is replaced; `spellings` maps other
+// spellings found in the workbook (see RespondentRegistry.assignIds) to the
+// name they were resolved to, so that those are replaced too.
+function pseudonymiseIssues(issues, client_name, key, spellings = new Map()) {
+  const names = { ...key.clients[client_name] };
+  for (const [spelling, name] of spellings) {
+    if (names[name] && !names[spelling]) names[spelling] = names[name];
+  }
+  return issues.map((issue) => ({ ...issue, message: replaceAll(issue.message, names) }));
+}
+
+// Replaces every code in `text` with the real name it stands for.
+function reidentifyText(text, key) {
+  const names = Object.fromEntries(Object.entries(key.codes).map(([code, entry]) => [code, entry.name]));
+  return replaceAll(text, names);
+}
+
+module.exports = {
+  DEFAULT_KEY_FILE,
+  loadPseudonymKey,
+  savePseudonymKey,
+  pseudonymiseSpreadsheet,
+  pseudonymiseIssues,
+  reidentifyText,
+};
@@ -0,0 +1,69 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { CliError, EXIT_CODES } = require('./cli');
+const { readProcessedReports } = require('./report-index');
+const { EXPORT_COLUMNS } = require('./report-export');
+const { queryResponses, formatTable, formatMarkdown } = require('./report-query');
+
+// Runs `lintstock query`. Nothing is written to context/reports.
+// Example (low scores with comments on one report): lintstock query --report "Board Dynamics" --max-score 2 --has-comment
+// Example (what the Chair said about strategy, as Markdown): lintstock query --position chair --text strateg --format markdown
+
+function toPattern(text) {
+  if (!text) return null;
+  try {
+    return new RegExp(text, 'i');
+  } catch (err) {
+    throw new CliError(`--text is not a valid pattern: ${err.message}`, EXIT_CODES.USAGE);
+  }
+}
+
+function runQuery(options, positionals, ctx) {
+  if (positionals.length > 0) {
+    throw new CliError(`Unexpected argument "${positionals[0]}". Filters are given as options.`, EXIT_CODES.USAGE);
+  }
+  const questions = (options.question || []).map(Number);
+  if (questions.some(Number.isNaN)) {
+    throw new CliError('--question takes question numbers, e.g. --question 1,4', EXIT_CODES.USAGE);
+  }
+
+  const unknownColumn = (options.columns || []).find((column) => !EXPORT_COLUMNS.includes(column));
+  if (unknownColumn) {
+    throw new CliError(`Unknown column "${unknownColumn}". Use any of: ${EXPORT_COLUMNS.join(', ')}`, EXIT_CODES.USAGE);
+  }
+
+  const workbooks = readProcessedReports(options.indir);
+  if (workbooks.length === 0) {
+    ctx.warn('No processed reports found. Run `lintstock build reports` first.');
+  }
+  let rows = queryResponses(workbooks, {
+    clients: options.client,
+    years: options.years,
+    reports: options.report,
+    questions,
+    text: toPattern(options.text),
+    respondents: options.respondent,
+    positions: options.position,
+    minScore: options['min-score'],
+    maxScore: options['max-score'],
+    hasComment: options['has-comment'],
+    hasSkipReason: options['has-skip-reason'],
+  });
+  if (options.limit !== undefined) rows = rows.slice(0, options.limit);
+
+  let output;
+  if (options.format === 'json') output = JSON.stringify(rows, null, 2);
+  else if (options.format === 'markdown') output = formatMarkdown(rows, options.columns);
+  else output = formatTable(rows, options.columns);
+
+  if (options.out) {
+    fs.mkdirSync(path.dirname(options.out), { recursive: true });
+    fs.writeFileSync(options.out, output);
+    ctx.success(`Wrote ${rows.length} response(s) to ${options.out}`);
+  } else {
+    ctx.print(output);
+  }
+  return rows;
+}
+
+module.exports = { runQuery };
@@ -0,0 +1,256 @@
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+// Stable question identities across workbooks.
+//
+// The alias file (data/question-aliases.json by default) is user-editable:
+//
+// {
+//   "questions": {
+//     "q_1a2b3c4d": { "text": "How effective is the Chair?", "aliases": ["How effective is the Chair of the board?"], "tags": ["q_chair"] }
+//   },
+//   "fuzzy_matches": { "How effective is the Chair of the Boards": { "id": "q_1a2b3c4d", "similarity": 0.93 } },
+//   "distinct": ["How effective is the Vice Chair?"]
+// }
+//
+// Question text is looked up in this order: tags, confirmed text and aliases,
+// previously recorded fuzzy matches, then a fresh similarity search. Texts in
+// `distinct` are never fuzzy matched. To confirm a fuzzy match, move the text
+// into the question's `aliases`; to override one, add the text to another
+// question's `aliases` or to `distinct`.
+//
+// A fuzzy match also needs both texts to use the same words, apart from
+// little words ("the", "of") and spelling variants ("organisation",
+// "organizations"), so "the Chair" and "the Vice Chair" stay apart however
+// similar they look.
+
+const DEFAULT_ALIAS_FILE = 'data/question-aliases.json';
+const DEFAULT_SIMILARITY_THRESHOLD = 0.85;
+const WORD_VARIANT_THRESHOLD = 0.8;
+const STOP_WORDS = new Set(
+  'a an and are as at be been by did do does for in is it its of on or our that the their this to was were with your'.split(
+    ' '
+  )
+);
+
+function normaliseQuestionText(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/\[[a-z0-9_]+\]/g, ' ')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function bigrams(text) {
+  const compact = text.replace(/ /g, '');
+  const grams = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const gram = compact.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+// Sørensen–Dice coefficient over character bigrams of the normalised texts.
+function similarity(a, b) {
+  const normA = normaliseQuestionText(a);
+  const normB = normaliseQuestionText(b);
+  if (normA === normB) return 1;
+  const gramsA = bigrams(normA);
+  const gramsB = bigrams(normB);
+  let total = 0;
+  for (const count of gramsA.values()) total += count;
+  for (const count of gramsB.values()) total += count;
+  if (total === 0) return 0;
+  let overlap = 0;
+  for (const [gram, count] of gramsA) {
+    overlap += Math.min(count, gramsB.get(gram) || 0);
+  }
+  return (2 * overlap) / total;
+}
+
+function contentWords(text) {
+  return new Set(
+    normaliseQuestionText(text)
+      .split(' ')
+      .filter((word) => word && !STOP_WORDS.has(word))
+  );
+}
+
+// True when every word of each text, other than stop words, is in the other
+// text or has a spelling variant there.
+function sameWords(a, b) {
+  const wordsA = contentWords(a);
+  const wordsB = contentWords(b);
+  const covered = (word, words) =>
+    words.has(word) || [...words].some((other) => similarity(word, other) >= WORD_VARIANT_THRESHOLD);
+  return [...wordsA].every((word) => covered(word, wordsB)) && [...wordsB].every((word) => covered(word, wordsA));
+}
+
+function createQuestionId(text) {
+  const hash = crypto.createHash('sha1').update(normaliseQuestionText(text)).digest('hex');
+  return `q_${hash.slice(0, 8)}`;
+}
+
+function emptyAliases() {
+  return { questions: {}, fuzzy_matches: {}, distinct: [] };
+}
+
+function loadQuestionAliases(filePath = DEFAULT_ALIAS_FILE) {
+  if (!fs.existsSync(filePath)) return emptyAliases();
+  const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return { ...emptyAliases(), ...json };
+}
+
+function saveQuestionAliases(aliases, filePath = DEFAULT_ALIAS_FILE) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(aliases, null, 2));
+}
+
+class QuestionRegistry {
+  constructor(aliases = emptyAliases(), { threshold = DEFAULT_SIMILARITY_THRESHOLD } = {}) {
+    this.aliases = aliases;
+    this.threshold = threshold;
+    this.changed = false;
+    this.index();
+  }
+
+  index() {
+    this.byText = new Map();
+    this.byTag = new Map();
+    for (const [id, entry] of Object.entries(this.aliases.questions)) {
+      for (const text of [entry.text, ...(entry.aliases || [])]) {
+        this.byText.set(normaliseQuestionText(text), id);
+      }
+      for (const tag of entry.tags || []) {
+        this.byTag.set(tag, id);
+      }
+    }
+    this.distinct = new Set(this.aliases.distinct.map(normaliseQuestionText));
+  }
+
+  findSimilar(text) {
+    let best = null;
+    for (const [id, entry] of Object.entries(this.aliases.questions)) {
+      for (const candidate of [entry.text, ...(entry.aliases || [])]) {
+        const score = similarity(text, candidate);
+        if (score >= this.threshold && (!best || score > best.similarity) && sameWords(text, candidate)) {
+          best = { id, similarity: Math.round(score * 1000) / 1000 };
+        }
+      }
+    }
+    return best;
+  }
+
+  addQuestion(text, tags) {
+    let id = createQuestionId(text);
+    // Guard against two different texts hashing to the same short ID.
+    for (let n = 2; this.aliases.questions[id]; n++) {
+      id = `${createQuestionId(text)}_${n}`;
+    }
+    this.aliases.questions[id] = { text, aliases: [] };
+    if (tags.length > 0) this.aliases.questions[id].tags = tags;
+    this.byText.set(normaliseQuestionText(text), id);
+    for (const tag of tags) this.byTag.set(tag, id);
+    this.changed = true;
+    return id;
+  }
+
+  // Looks a question up without registering anything. Returns { id, fuzzy }
+  // or null for a question that is not known yet.
+  match(text, tags = []) {
+    for (const tag of tags) {
+      if (this.byTag.has(tag)) return { id: this.byTag.get(tag), fuzzy: false };
+    }
+    const norm = normaliseQuestionText(text);
+    if (this.byText.has(norm)) return { id: this.byText.get(norm), fuzzy: false };
+    const recorded = this.aliases.fuzzy_matches[text];
+    if (recorded && this.aliases.questions[recorded.id]) return { id: recorded.id, fuzzy: true };
+    if (this.distinct.has(norm)) return null;
+    const similar = this.findSimilar(text);
+    return similar && { ...similar, fuzzy: true };
+  }
+
+  recordFuzzyMatch(text, { id, similarity: score }) {
+    if (this.aliases.fuzzy_matches[text]) return;
+    this.aliases.fuzzy_matches[text] = { id, similarity: score };
+    this.changed = true;
+  }
+
+  // Returns the stable ID for a question, registering it if it is new.
+  resolve(text, tags = []) {
+    const match = this.match(text, tags);
+    if (!match) return this.addQuestion(text, tags);
+    if (match.fuzzy) this.recordFuzzyMatch(text, match);
+    return match.id;
+  }
+
+  // Writes `question_id` into every question of a parsed workbook and returns
+  // issues for questions that would otherwise share an ID.
+  //
+  // Entries with the same text (the sub-questions of a grid, or "Any other
+  // comments?" in several reports) are one question and share an ID, but two
+  // different questions of one workbook never do. Exact matches claim their ID
+  // first; a question matched by similarity to an ID already taken is given
+  // its own, and a question the alias file joins to another one in the same
+  // workbook is left without an ID until the alias file is corrected.
+  assignIds(spreadsheet) {
+    const questions = new Map();
+    for (const report of spreadsheet.reports) {
+      for (const question of report.questions) {
+        if (!question.question_text) continue;
+        const tags = question.question_tags || [];
+        const key = [normaliseQuestionText(question.question_text), ...tags].join('|');
+        if (!questions.has(key)) {
+          questions.set(key, { text: question.question_text, tags, sheet: report.report_name, entries: [] });
+        }
+        questions.get(key).entries.push(question);
+      }
+    }
+    const entries = [...questions.values()].map((entry) => ({ ...entry, match: this.match(entry.text, entry.tags) }));
+    const issues = [];
+    const owners = new Map();
+    const conflict = (entry, message) =>
+      issues.push({ level: 'warning', code: 'question_id_conflict', message, sheet: entry.sheet, row: null });
+    for (const entry of [...entries.filter((e) => !e.match?.fuzzy), ...entries.filter((e) => e.match?.fuzzy)]) {
+      let id = entry.match ? entry.match.id : this.addQuestion(entry.text, entry.tags);
+      const owner = owners.get(id);
+      if (owner && entry.match.fuzzy) {
+        delete this.aliases.fuzzy_matches[entry.text];
+        id = this.addQuestion(entry.text, entry.tags);
+        conflict(
+          entry,
+          `"${entry.text}" is similar to "${owner.text}", but both are asked in this workbook, so it was given its own ID (${id})`
+        );
+      } else if (owner) {
+        conflict(
+          entry,
+          `"${entry.text}" and "${owner.text}" are both asked in this workbook but have the same ID (${id}) in the alias file; "${entry.text}" was left without an ID`
+        );
+        id = null;
+      } else if (entry.match?.fuzzy) {
+        this.recordFuzzyMatch(entry.text, entry.match);
+      }
+      if (id) owners.set(id, entry);
+      for (const question of entry.entries) {
+        if (id) question.question_id = id;
+        else delete question.question_id;
+      }
+    }
+    return issues;
+  }
+}
+
+module.exports = {
+  DEFAULT_ALIAS_FILE,
+  DEFAULT_SIMILARITY_THRESHOLD,
+  normaliseQuestionText,
+  similarity,
+  sameWords,
+  createQuestionId,
+  loadQuestionAliases,
+  saveQuestionAliases,
+  QuestionRegistry,
+};
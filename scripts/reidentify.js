@@ -0,0 +1,55 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { CliError } = require('./cli');
+const { loadPseudonymKey, reidentifyText } = require('./pseudonymise');
+
+// Replaces respondent codes in generated files with the real names.
+// Re-identified copies are written to a separate, git-ignored directory so the
+// LLM session never reads them back from output/.
+//
+// Example (all text files in output/): lintstock reidentify
+// Example (one file): lintstock reidentify output/acme-summary.md --outdir identified
+
+const TEXT_EXTENSIONS = ['.md', '.txt', '.html', '.json', '.csv', '.js'];
+
+function listTextFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listTextFiles(fullPath);
+    if (entry.name === 'GEMINI.md') return [];
+    return TEXT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [fullPath] : [];
+  });
+}
+
+function runReidentify(options, inputFiles, ctx) {
+  const { indir: inDir, outdir: outDir } = options;
+  const keyFile = options['key-file'];
+  if (!fs.existsSync(keyFile)) {
+    throw new CliError(`Pseudonym key file '${keyFile}' not found.`);
+  }
+  const key = loadPseudonymKey(keyFile);
+
+  let filePaths = inputFiles;
+  if (filePaths.length === 0) {
+    if (!fs.existsSync(inDir)) {
+      throw new CliError(`Input directory '${inDir}' not found.`);
+    }
+    filePaths = listTextFiles(inDir);
+  }
+  if (filePaths.length === 0) {
+    ctx.warn('No files to re-identify.');
+  }
+
+  const written = [];
+  for (const filePath of filePaths) {
+    const relative = path.relative(inDir, filePath);
+    const target = path.join(outDir, relative.startsWith('..') ? path.basename(filePath) : relative);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, reidentifyText(fs.readFileSync(filePath, 'utf8'), key));
+    ctx.success(`${filePath} -> ${target}`);
+    written.push({ source: filePath, target });
+  }
+  return written;
+}
+
+module.exports = { runReidentify };
@@ -0,0 +1,275 @@
+const { getYear } = require('./spreadsheet-to-json');
+const { normaliseQuestionText } = require('./question-identity');
+const { round, mean } = require('./report-stats');
+
+// Benchmarks one client's average scores against the other clients reviewed
+// in the same year or range of years ("peers").
+//
+// Each peer contributes one value per question or report: the mean of all its
+// normalised scores (0-1) for it in the range, so a peer reviewed twice in the
+// range still counts once. Questions are matched across clients on their
+// stable question ID, or on their normalised text when they have none;
+// sub-questions count towards their question. Reports are matched on their
+// name, ignoring case.
+//
+// For every question and report the result gives the peer sample size, the
+// peer quartiles (q1, median, q3, interpolated), the client's percentile rank
+// among its peers (the share of peers scoring lower, counting ties as half)
+// and the quartile the client falls in (1 = bottom, 4 = top). The lowest and
+// highest peer values are never shown, and the peer figures are rounded to the
+// nearest PEER_BAND. When fewer than `minPeers` clients answered a question or
+// report, the benchmark for it is suppressed; only the sample size is given.
+// With only three or four peers the quartiles are close to the peers' own
+// scores, so `minPeers` cannot go below five.
+
+const DEFAULT_MIN_PEERS = 5;
+const MIN_PEERS_FLOOR = 5;
+const PEER_BAND = 0.05;
+
+// Expands year arguments such as ["2023", "2025-2026"] into a sorted list.
+function parseYears(values) {
+  const years = new Set();
+  for (const value of values) {
+    const range = /^((?:19|20)\d{2})\s*-\s*((?:19|20)\d{2})$/.exec(String(value).trim());
+    if (range) {
+      const [from, to] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+      for (let year = from; year <= to; year++) years.add(String(year));
+    } else if (/^(?:19|20)\d{2}$/.test(String(value).trim())) {
+      years.add(String(value).trim());
+    } else {
+      throw new Error(`'${value}' is not a year or a range of years such as 2023-2025`);
+    }
+  }
+  return [...years].sort();
+}
+
+// Linear interpolation between closest ranks, as in spreadsheet QUARTILE.INC.
+function quantile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function percentileRank(values, value) {
+  const below = values.filter((v) => v < value).length;
+  const equal = values.filter((v) => v === value).length;
+  return ((below + equal / 2) / values.length) * 100;
+}
+
+function quartileOf(value, q1, median, q3) {
+  if (value < q1) return 1;
+  if (value < median) return 2;
+  if (value <= q3) return 3;
+  return 4;
+}
+
+const questionKey = (q) => (q.question_id ? `id:${q.question_id}` : `text:${normaliseQuestionText(q.question_text)}`);
+const reportKey = (report) => report.report_name.trim().toLowerCase();
+const isScore = (r) => typeof r.normalised_score === 'number';
+const band = (value) => round(Math.round(value / PEER_BAND) * PEER_BAND);
+
+// Collects the normalised scores of every client, keyed by question or
+// report, within the given years.
+function collectScores(workbooks, years) {
+  const clients = new Map();
+  for (const wb of workbooks) {
+    if (!years.includes(getYear(wb.created_date))) continue;
+    const name = wb.client_name.trim();
+    const key = name.toLowerCase();
+    if (!clients.has(key)) clients.set(key, { name, reviews: [], questions: new Map(), reports: new Map() });
+    const client = clients.get(key);
+    client.reviews.push(wb.source ?? wb.created_date);
+    for (const report of wb.reports) {
+      if (!client.reports.has(reportKey(report))) {
+        client.reports.set(reportKey(report), { report_name: report.report_name, scores: [] });
+      }
+      for (const q of report.questions) {
+        const scores = q.responses.filter(isScore).map((r) => r.normalised_score);
+        client.reports.get(reportKey(report)).scores.push(...scores);
+        if (!client.questions.has(questionKey(q))) {
+          client.questions.set(questionKey(q), {
+            report_name: report.report_name,
+            question_id: q.question_id ?? null,
+            question_number: q.question_number,
+            question_text: q.question_text,
+            scores: [],
+          });
+        }
+        client.questions.get(questionKey(q)).scores.push(...scores);
+      }
+    }
+  }
+  return clients;
+}
+
+function benchmarkValue(own, peers, minPeers) {
+  const values = peers.filter((v) => v !== null).sort((a, b) => a - b);
+  const base = { client_mean: round(own), peers: values.length };
+  if (own === null) return { ...base, status: 'no_scores' };
+  if (values.length < minPeers) return { ...base, status: 'suppressed' };
+  const q1 = quantile(values, 0.25);
+  const median = quantile(values, 0.5);
+  const q3 = quantile(values, 0.75);
+  return {
+    ...base,
+    status: 'ok',
+    peer_mean: band(mean(values)),
+    peer_q1: band(q1),
+    peer_median: band(median),
+    peer_q3: band(q3),
+    percentile: round(percentileRank(values, own), 1),
+    quartile: quartileOf(own, q1, median, q3),
+    difference: round(own - band(median)),
+  };
+}
+
+const entryMean = (entry) => (entry ? mean(entry.scores) : null);
+
+// Benchmarks `clientName` against every other client in `years` (default: the
+// latest year the client was reviewed).
+function benchmarkClient(workbooks, clientName, options = {}) {
+  const minPeers = options.minPeers ?? DEFAULT_MIN_PEERS;
+  if (minPeers < MIN_PEERS_FLOOR) {
+    throw new Error(`The peer group must be at least ${MIN_PEERS_FLOOR} clients to keep peers anonymous`);
+  }
+  const ownReviews = workbooks.filter((wb) => wb.client_name.trim().toLowerCase() === clientName.trim().toLowerCase());
+  if (ownReviews.length === 0) throw new Error(`No processed reports for '${clientName}'`);
+  const years =
+    options.years && options.years.length > 0
+      ? parseYears(options.years)
+      : [
+          ownReviews
+            .map((wb) => getYear(wb.created_date))
+            .sort()
+            .pop(),
+        ];
+
+  const clients = collectScores(workbooks, years);
+  const own = clients.get(clientName.trim().toLowerCase());
+  if (!own) throw new Error(`'${clientName}' has no review in ${years.join(', ')}`);
+  const peers = [...clients.values()].filter((c) => c !== own);
+
+  const overall = benchmarkValue(
+    mean([...own.reports.values()].flatMap((r) => r.scores)),
+    peers.map((p) => mean([...p.reports.values()].flatMap((r) => r.scores))),
+    minPeers
+  );
+  const reports = [...own.reports].map(([key, entry]) => ({
+    report_name: entry.report_name,
+    ...benchmarkValue(
+      entryMean(entry),
+      peers.map((p) => entryMean(p.reports.get(key))),
+      minPeers
+    ),
+  }));
+  const questions = [...own.questions].map(([key, entry]) => ({
+    report_name: entry.report_name,
+    question_id: entry.question_id,
+    question_number: entry.question_number,
+    question_text: entry.question_text,
+    ...benchmarkValue(
+      entryMean(entry),
+      peers.map((p) => entryMean(p.questions.get(key))),
+      minPeers
+    ),
+  }));
+
+  return {
+    client_name: own.name,
+    years,
+    reviews: own.reviews,
+    peer_clients: peers.length,
+    min_peers: minPeers,
+    overall,
+    reports,
+    questions,
+    suppressed: [overall, ...reports, ...questions].filter((b) => b.status === 'suppressed').length,
+  };
+}
+
+// --- Formatting ---
+
+function formatNumber(value) {
+  return value === null || value === undefined ? '-' : String(value);
+}
+
+function ordinal(n) {
+  const rounded = Math.round(n);
+  const suffix = rounded % 100 >= 11 && rounded % 100 <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][rounded % 10] || 'th';
+  return `${rounded}${suffix}`;
+}
+
+function describeBenchmark(b, minPeers) {
+  if (b.status === 'no_scores') return 'no scores for this client';
+  if (b.status === 'suppressed') return `suppressed: ${b.peers} peer(s), fewer than ${minPeers}`;
+  return `${ordinal(b.percentile)} percentile, quartile ${b.quartile} (peer median ${b.peer_median}, q1 ${b.peer_q1}, q3 ${b.peer_q3}, n=${b.peers})`;
+}
+
+function questionLabel(q) {
+  return q.question_number === null ? q.question_text : `Q${q.question_number}. ${q.question_text}`;
+}
+
+function formatText(result) {
+  const lines = [
+    `${result.client_name} against ${result.peer_clients} other client(s) in ${result.years.join(', ')} (normalised scores, 0-1)`,
+    `  Overall: mean ${formatNumber(result.overall.client_mean)}, ${describeBenchmark(result.overall, result.min_peers)}`,
+  ];
+  for (const report of result.reports) {
+    lines.push('');
+    lines.push(
+      `  ${report.report_name}: mean ${formatNumber(report.client_mean)}, ${describeBenchmark(report, result.min_peers)}`
+    );
+    for (const q of result.questions.filter((question) => question.report_name === report.report_name)) {
+      lines.push(`    ${questionLabel(q)}`);
+      lines.push(`      mean ${formatNumber(q.client_mean)}, ${describeBenchmark(q, result.min_peers)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+function markdownRow(label, b) {
+  const cells =
+    b.status === 'ok'
+      ? [b.peer_q1, b.peer_median, b.peer_q3, ordinal(b.percentile), b.quartile, b.peers]
+      : ['-', '-', '-', b.status === 'suppressed' ? 'suppressed' : '-', '-', b.peers];
+  return `| ${escapeMarkdown(label)} | ${formatNumber(b.client_mean)} | ${cells.join(' | ')} |`;
+}
+
+function formatMarkdown(result) {
+  const header = '| | Client mean | Peer Q1 | Peer median | Peer Q3 | Percentile | Quartile | Peers |';
+  const divider = `|${' --- |'.repeat(8)}`;
+  const lines = [`# ${result.client_name}: peer benchmark ${result.years.join(', ')}`, ''];
+  lines.push(
+    `Compared with ${result.peer_clients} other client(s) reviewed in ${result.years.join(', ')}. ` +
+      'Scores are normalised to 0-1 so questions on different scales compare fairly. ' +
+      `Quartile 1 is the bottom quarter of peers and quartile 4 the top. ` +
+      `Benchmarks with fewer than ${result.min_peers} peers are suppressed to keep peers anonymous.`,
+    ''
+  );
+  lines.push(header, divider, markdownRow('All questions', result.overall), '');
+  for (const report of result.reports) {
+    lines.push(`## ${report.report_name}`, '');
+    lines.push(header, divider, markdownRow('All questions', report));
+    for (const q of result.questions.filter((question) => question.report_name === report.report_name)) {
+      lines.push(markdownRow(questionLabel(q), q));
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_MIN_PEERS,
+  MIN_PEERS_FLOOR,
+  parseYears,
+  quantile,
+  benchmarkClient,
+  formatText,
+  formatMarkdown,
+};
@@ -0,0 +1,169 @@
+const { getYear } = require('./spreadsheet-to-json');
+const { normaliseName } = require('./respondent-identity');
+
+// Board composition history per client, built from the respondees of each
+// processed review.
+//
+// People are followed across reviews on their `respondent_id` (assigned at
+// build time from the respondent alias file), falling back to their
+// normalised name in workbooks built before IDs were assigned. Workbooks for
+// the same client with the same `created_date` count as one review.
+//
+// For every client the result lists each person with their position in every
+// review, and a timeline of the reviews with the people who joined, left or
+// changed role since the review before.
+
+const personKey = (respondee) => respondee.respondent_id || `name:${normaliseName(respondee.name)}`;
+
+function groupReviews(workbooks) {
+  const clients = new Map();
+  for (const wb of workbooks) {
+    const key = wb.client_name.trim().toLowerCase();
+    if (!clients.has(key)) clients.set(key, { client_name: wb.client_name.trim(), reviews: new Map() });
+    const reviews = clients.get(key).reviews;
+    if (!reviews.has(wb.created_date)) {
+      reviews.set(wb.created_date, {
+        created_date: wb.created_date,
+        year: getYear(wb.created_date),
+        sources: [],
+        members: new Map(),
+      });
+    }
+    const review = reviews.get(wb.created_date);
+    if (wb.source) review.sources.push(wb.source);
+    for (const respondee of wb.respondees) {
+      const member = review.members.get(personKey(respondee));
+      if (!member) {
+        review.members.set(personKey(respondee), {
+          respondent_id: respondee.respondent_id ?? null,
+          name: respondee.name,
+          position: respondee.position || null,
+        });
+      } else if (!member.position && respondee.position) {
+        member.position = respondee.position;
+      }
+    }
+  }
+  return clients;
+}
+
+function compareMembers(previous, current) {
+  const joined = [];
+  const role_changes = [];
+  for (const [key, member] of current) {
+    const before = previous.get(key);
+    if (!before) joined.push(member);
+    else if (before.position !== member.position) {
+      role_changes.push({ ...member, from: before.position, to: member.position });
+    }
+  }
+  const left = [...previous].filter(([key]) => !current.has(key)).map(([, member]) => member);
+  return { joined, left, role_changes };
+}
+
+function clientHistory({ client_name, reviews }) {
+  const ordered = [...reviews.values()].sort((a, b) => a.created_date.localeCompare(b.created_date));
+  const people = new Map();
+  const timeline = ordered.map((review, index) => {
+    for (const [key, member] of review.members) {
+      if (!people.has(key)) {
+        people.set(key, { respondent_id: member.respondent_id, name: member.name, positions: [] });
+      }
+      // The latest review's spelling of the name is the one shown.
+      people.get(key).name = member.name;
+      people
+        .get(key)
+        .positions.push({ year: review.year, created_date: review.created_date, position: member.position });
+    }
+    const changes =
+      index === 0
+        ? { joined: [], left: [], role_changes: [] }
+        : compareMembers(ordered[index - 1].members, review.members);
+    return {
+      created_date: review.created_date,
+      year: review.year,
+      sources: review.sources,
+      members: [...review.members.values()],
+      ...changes,
+    };
+  });
+  return {
+    client_name,
+    reviews: timeline.length,
+    people: [...people.values()].map((person) => ({
+      ...person,
+      first_review: person.positions[0].created_date,
+      last_review: person.positions.at(-1).created_date,
+    })),
+    timeline,
+  };
+}
+
+// Returns the board history of every client in `workbooks`, in name order.
+function compileBoardHistory(workbooks) {
+  return [...groupReviews(workbooks).values()]
+    .map(clientHistory)
+    .sort((a, b) => a.client_name.localeCompare(b.client_name));
+}
+
+// --- Formatting ---
+
+const describe = (member) => (member.position ? `${member.name} (${member.position})` : member.name);
+
+function formatText(history) {
+  const lines = [];
+  for (const client of history) {
+    if (lines.length > 0) lines.push('');
+    lines.push(`${client.client_name}: ${client.reviews} review(s), ${client.people.length} people`);
+    client.timeline.forEach((review, index) => {
+      lines.push(`  ${review.created_date} (${review.sources.join(', ')}): ${review.members.length} member(s)`);
+      if (index === 0) {
+        for (const member of review.members) lines.push(`    ${describe(member)}`);
+        return;
+      }
+      for (const member of review.joined) lines.push(`    + Joined: ${describe(member)}`);
+      for (const member of review.left) lines.push(`    - Left: ${describe(member)}`);
+      for (const change of review.role_changes) {
+        lines.push(`    ~ ${change.name}: ${change.from || 'no position'} → ${change.to || 'no position'}`);
+      }
+      if (review.joined.length + review.left.length + review.role_changes.length === 0) {
+        lines.push('    No changes');
+      }
+    });
+  }
+  return lines.join('\n');
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+function formatMarkdown(history) {
+  const lines = ['# Board Composition', ''];
+  for (const client of history) {
+    const dates = client.timeline.map((review) => review.created_date);
+    lines.push(`## ${client.client_name}`, '');
+    lines.push(`| Name | ${dates.join(' | ')} |`, `|${' --- |'.repeat(dates.length + 1)}`);
+    for (const person of client.people) {
+      const cells = dates.map((date) => {
+        const held = person.positions.find((p) => p.created_date === date);
+        if (!held) return '';
+        return held.position ? escapeMarkdown(held.position) : '-';
+      });
+      lines.push(`| ${escapeMarkdown(person.name)} | ${cells.join(' | ')} |`);
+    }
+    lines.push('');
+    for (const review of client.timeline.slice(1)) {
+      const changes = [
+        ...review.joined.map((member) => `Joined: ${describe(member)}`),
+        ...review.left.map((member) => `Left: ${describe(member)}`),
+        ...review.role_changes.map((c) => `${c.name}: ${c.from || 'no position'} → ${c.to || 'no position'}`),
+      ];
+      lines.push(`### ${review.created_date}`, '');
+      lines.push(...(changes.length > 0 ? changes.map((change) => `- ${change}`) : ['No changes.']), '');
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = { compileBoardHistory, formatText, formatMarkdown };
@@ -0,0 +1,335 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { SpreadsheetSchema } = require('./spreadsheet-to-json');
+const { compileBoardHistory } = require('./report-board');
+const { slugify } = require('./report-merge');
+const { round, mean, groupQuestions } = require('./report-stats');
+
+// Markdown context for the LLM session, written next to the processed
+// workbooks on every build:
+//
+// - `_data-dictionary.md` explains every field of SpreadsheetSchema.
+// - `_briefs/<client>.md` summarises one client: the reviews held, their
+//   reports and question counts, the respondents and their roles, the scales
+//   used and the key aggregate scores of the latest review, across every
+//   workbook of its date.
+//
+// Both are generated from the processed JSON only and contain no timestamps,
+// so they change only when the data does.
+
+const DATA_DICTIONARY = '_data-dictionary.md';
+const BRIEFS_DIR = '_briefs';
+
+// Keep in step with SpreadsheetSchema: buildDataDictionary fails on a field
+// without a description, or a description without a field.
+const FIELD_DESCRIPTIONS = {
+  client_name: 'Name of the client (the company reviewed), from the details sheet.',
+  created_date: 'Date of the review (YYYY-MM-DD). Workbooks of one client with the same date belong to one review.',
+  merged_from:
+    'Only on reviews merged from several workbooks: the processed files of the workbooks that were combined.',
+  reports: 'The reports (surveys) in the review, e.g. "Board Evaluation" or "Chair Evaluation".',
+  'reports[].report_name': 'Name of the report, from its sheet.',
+  'reports[].sources': 'Only on merged reviews: the workbooks this report was combined from.',
+  'reports[].sources[].file': 'Processed file of the workbook.',
+  'reports[].sources[].report_name': 'Name of the report in that workbook.',
+  'reports[].questions':
+    'Questions of the report. A question with sub-questions (a grid) has one entry per sub-question, sharing its number and text.',
+  'reports[].questions[].question_number': 'Number of the question within the report, or null when it has none.',
+  'reports[].questions[].question_text': 'Wording of the question as asked in this workbook.',
+  'reports[].questions[].question_id':
+    'Stable ID of the question. The same question has the same ID in every workbook, even when its wording changed slightly, so follow questions across clients and years on this rather than the text.',
+  'reports[].questions[].question_tags':
+    'Tags written in square brackets in the question text (e.g. "[risk]"), removed from `question_text`.',
+  'reports[].questions[].sub_question_text': 'Wording of the sub-question, for questions asked as a grid.',
+  'reports[].questions[].scale': 'The scale the question was answered on. Absent for free-text questions.',
+  'reports[].questions[].scale.type':
+    '"numeric" for rated questions, "yes_no" when every answer is yes or no, "multi_select" when answers are lists of options.',
+  'reports[].questions[].scale.min': 'Lowest score of the scale (numeric and yes_no).',
+  'reports[].questions[].scale.max': 'Highest score of the scale (numeric and yes_no).',
+  'reports[].questions[].scale.label_set':
+    'Label set used to turn answer labels into scores (e.g. "agreement" for "Strongly disagree" to "Strongly agree").',
+  'reports[].questions[].responses': 'One entry per respondent who was asked the question.',
+  'reports[].questions[].responses[].respondent': 'Name of the respondent. Matches `name` in `respondees`.',
+  'reports[].questions[].responses[].score': "Score given, on the question's scale. Labels are already converted.",
+  'reports[].questions[].responses[].normalised_score':
+    "The score mapped to 0-1 across the question's scale. Compare this, not `score`, across questions, clients or years.",
+  'reports[].questions[].responses[].comment': 'Comment written alongside the answer.',
+  'reports[].questions[].responses[].skip_reason': 'Why the question was not answered (e.g. "Not applicable").',
+  'reports[].questions[].responses[].response':
+    'The answer as written, for free-text answers, labels ("Agree") and multi-select answers.',
+  'reports[].questions[].responses[].selections': 'Options picked, for multi-select questions.',
+  respondees: 'The people who took part in the review.',
+  'respondees[].name': 'Name of the respondent. Name variants of the same person are resolved to one name per client.',
+  'respondees[].position': 'Position on the board at the time of the review (e.g. "Chair", "Non-executive Director").',
+  'respondees[].respondent_id': 'ID of the person, unique within the client and the same in every review.',
+};
+
+// --- Data dictionary ---
+
+// Walks a zod schema and returns its fields as { path, type, required } in
+// schema order. Lists of objects are followed into with `[]`.
+function schemaFields(schema, prefix = '') {
+  const fields = [];
+  for (const [key, field] of Object.entries(schema.shape)) {
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    let inner = field;
+    let required = true;
+    let nullable = false;
+    while (inner.def.type === 'optional' || inner.def.type === 'nullable') {
+      if (inner.def.type === 'optional') required = false;
+      else nullable = true;
+      inner = inner.unwrap();
+    }
+    const element = inner.def.type === 'array' ? inner.element : null;
+    let type = inner.def.type === 'enum' ? `one of ${inner.options.map((o) => `"${o}"`).join(', ')}` : inner.def.type;
+    if (element) type = `list of ${element.def.type}s`;
+    if (nullable) type = `${type} or null`;
+    fields.push({ path: fieldPath, type, required });
+    if (inner.def.type === 'object') fields.push(...schemaFields(inner, fieldPath));
+    if (element?.def.type === 'object') fields.push(...schemaFields(element, `${fieldPath}[]`));
+  }
+  return fields;
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+function buildDataDictionary(schema = SpreadsheetSchema, descriptions = FIELD_DESCRIPTIONS) {
+  const fields = schemaFields(schema);
+  const undocumented = fields.filter((field) => !descriptions[field.path]).map((field) => field.path);
+  const unknown = Object.keys(descriptions).filter((key) => !fields.some((field) => field.path === key));
+  if (undocumented.length > 0) throw new Error(`No description for schema field(s): ${undocumented.join(', ')}`);
+  if (unknown.length > 0) throw new Error(`Description(s) for field(s) not in the schema: ${unknown.join(', ')}`);
+
+  const lines = [
+    '# Data Dictionary',
+    '',
+    'Every field of a processed workbook (one JSON file per review in this directory). `reports[].questions[]` is',
+    'a question inside a report; optional fields are left out when they have no value.',
+    '',
+    '| Field | Type | Required | Description |',
+    '| --- | --- | --- | --- |',
+  ];
+  for (const field of fields) {
+    lines.push(
+      `| \`${field.path}\` | ${escapeMarkdown(field.type)} | ${field.required ? 'yes' : 'no'} | ${escapeMarkdown(descriptions[field.path])} |`
+    );
+  }
+  lines.push('');
+  return lines.join('\n');
+}
+
+// --- Client briefs ---
+
+function describeScale(scale) {
+  if (!scale) return 'free text';
+  if (scale.type === 'yes_no') return 'yes/no';
+  if (scale.type === 'multi_select') return 'multi-select';
+  return scale.label_set ? `${scale.min}-${scale.max} (${scale.label_set} labels)` : `${scale.min}-${scale.max}`;
+}
+
+const normalisedScores = (questions) =>
+  questions.flatMap((q) => q.responses).flatMap((r) => (r.normalised_score === undefined ? [] : [r.normalised_score]));
+
+const format = (value) => (value === null ? '-' : String(round(value)));
+
+function summariseReport(report) {
+  const groups = groupQuestions(report.questions);
+  return {
+    report_name: report.report_name,
+    questions: groups.length,
+    scales: [...new Set(groups.map((group) => describeScale(group.entries[0].scale)))],
+    responses: report.questions.reduce((sum, q) => sum + q.responses.length, 0),
+    mean_normalised: mean(normalisedScores(report.questions)),
+  };
+}
+
+// Mean normalised score of every scored question group, highest first.
+function rankQuestions(workbook) {
+  return workbook.reports
+    .flatMap((report) =>
+      groupQuestions(report.questions).map((group) => ({
+        report_name: report.report_name,
+        question_id: group.entries[0].question_id ?? null,
+        question_text: group.question_text,
+        scores: normalisedScores(group.entries),
+      }))
+    )
+    .filter((question) => question.scores.length > 0)
+    .map(({ scores, ...question }) => ({ ...question, mean_normalised: mean(scores), scored: scores.length }))
+    .sort((a, b) => b.mean_normalised - a.mean_normalised || a.question_text.localeCompare(b.question_text));
+}
+
+function summariseWorkbook(workbook) {
+  const questions = workbook.reports.flatMap((report) => report.questions);
+  return {
+    created_date: workbook.created_date,
+    source: workbook.source,
+    reports: workbook.reports.map(summariseReport),
+    respondents: workbook.respondees.length,
+    responses: questions.reduce((sum, q) => sum + q.responses.length, 0),
+    mean_normalised: mean(normalisedScores(questions)),
+    ranked: rankQuestions(workbook),
+  };
+}
+
+// The workbooks of one review date together, as one review. A review can be
+// split over several workbooks (one per report), which share its date.
+function summariseReview(workbooks, createdDate) {
+  const sameDate = workbooks
+    .filter((workbook) => workbook.created_date === createdDate)
+    .sort((a, b) => a.source.localeCompare(b.source));
+  return summariseWorkbook({
+    created_date: createdDate,
+    source: sameDate.map((workbook) => workbook.source).join(', '),
+    reports: sameDate.flatMap((workbook) => workbook.reports),
+    respondees: sameDate.flatMap((workbook) => workbook.respondees),
+  });
+}
+
+const TOP_QUESTIONS = 3;
+
+function formatQuestion(question) {
+  const id = question.question_id ? ` (\`${question.question_id}\`)` : '';
+  return `${question.question_text}${id}, ${question.report_name}: ${format(question.mean_normalised)}`;
+}
+
+function formatBrief(client, workbooks) {
+  const reviews = workbooks
+    .map(summariseWorkbook)
+    .sort((a, b) => a.created_date.localeCompare(b.created_date) || a.source.localeCompare(b.source));
+  const lines = [
+    `# ${client.client_name}`,
+    '',
+    `${reviews.length} processed workbook(s) from ${client.reviews} review(s). Scores are means of \`normalised_score\` (0-1).`,
+    '',
+    '## Reviews',
+    '',
+    '| Date | File | Reports | Questions | Respondents | Responses | Mean score |',
+    '| --- | --- | --- | --- | --- | --- | --- |',
+  ];
+  for (const review of reviews) {
+    const questions = review.reports.reduce((sum, report) => sum + report.questions, 0);
+    lines.push(
+      `| ${review.created_date} | ${review.source} | ${review.reports.length} | ${questions} | ${review.respondents} | ${review.responses} | ${format(review.mean_normalised)} |`
+    );
+  }
+
+  lines.push('', '## Reports', '');
+  for (const review of reviews) {
+    lines.push(`### ${review.created_date} (${review.source})`, '');
+    lines.push('| Report | Questions | Scales | Responses | Mean score |', '| --- | --- | --- | --- | --- |');
+    for (const report of review.reports) {
+      lines.push(
+        `| ${escapeMarkdown(report.report_name)} | ${report.questions} | ${report.scales.join(', ')} | ${report.responses} | ${format(report.mean_normalised)} |`
+      );
+    }
+    lines.push('');
+  }
+
+  const dates = client.timeline.map((review) => review.created_date);
+  lines.push('## Respondents and Roles', '');
+  lines.push(`| Name | ID | ${dates.join(' | ')} |`, `|${' --- |'.repeat(dates.length + 2)}`);
+  for (const person of client.people) {
+    const cells = dates.map((date) => {
+      const held = person.positions.find((p) => p.created_date === date);
+      if (!held) return '';
+      return held.position ? escapeMarkdown(held.position) : '-';
+    });
+    lines.push(`| ${escapeMarkdown(person.name)} | ${person.respondent_id ?? '-'} | ${cells.join(' | ')} |`);
+  }
+  for (const review of client.timeline.slice(1)) {
+    const changes = [
+      ...review.joined.map((member) => `${member.name} joined`),
+      ...review.left.map((member) => `${member.name} left`),
+      ...review.role_changes.map((c) => `${c.name}: ${c.from || 'no position'} → ${c.to || 'no position'}`),
+    ];
+    if (changes.length > 0) lines.push('', `${review.created_date}: ${changes.join('; ')}.`);
+  }
+
+  const scales = new Map();
+  for (const workbook of workbooks) {
+    for (const report of workbook.reports) {
+      for (const group of groupQuestions(report.questions)) {
+        const scale = describeScale(group.entries[0].scale);
+        if (!scales.has(scale)) scales.set(scale, { questions: 0, dates: new Set() });
+        scales.get(scale).questions += 1;
+        scales.get(scale).dates.add(workbook.created_date);
+      }
+    }
+  }
+  lines.push('', '## Scales', '', '| Scale | Questions | Reviews |', '| --- | --- | --- |');
+  for (const [scale, { questions, dates: used }] of [...scales].sort(([a], [b]) => a.localeCompare(b))) {
+    lines.push(`| ${scale} | ${questions} | ${[...used].sort().join(', ')} |`);
+  }
+
+  const latestDate = reviews.at(-1).created_date;
+  const previousDate = reviews.filter((review) => review.created_date < latestDate).at(-1)?.created_date;
+  const latest = summariseReview(workbooks, latestDate);
+  const previous = previousDate && summariseReview(workbooks, previousDate);
+  lines.push('', `## Key Scores (${latestDate})`, '', `From ${latest.source}.`, '');
+  lines.push(`- Overall: ${format(latest.mean_normalised)}`);
+  if (previous && latest.mean_normalised !== null && previous.mean_normalised !== null) {
+    const change = round(latest.mean_normalised - previous.mean_normalised);
+    lines.push(`- Change since ${previous.created_date}: ${change > 0 ? '+' : ''}${change}`);
+  }
+  for (const report of latest.reports) {
+    lines.push(`- ${report.report_name}: ${format(report.mean_normalised)}`);
+  }
+  if (latest.ranked.length > 0) {
+    const count = Math.min(TOP_QUESTIONS, Math.floor(latest.ranked.length / 2) || 1);
+    lines.push('', 'Highest-scoring questions:', '');
+    lines.push(...latest.ranked.slice(0, count).map((q) => `- ${formatQuestion(q)}`));
+    if (latest.ranked.length > 1) {
+      lines.push('', 'Lowest-scoring questions:', '');
+      lines.push(
+        ...latest.ranked
+          .slice(-count)
+          .reverse()
+          .map((q) => `- ${formatQuestion(q)}`)
+      );
+    }
+  }
+  lines.push('');
+  return lines.join('\n');
+}
+
+// Returns one brief per client as { client_name, file, markdown }, in name order.
+function buildClientBriefs(workbooks) {
+  return compileBoardHistory(workbooks).map((client) => {
+    const own = workbooks.filter((wb) => wb.client_name.trim().toLowerCase() === client.client_name.toLowerCase());
+    return {
+      client_name: client.client_name,
+      file: `${slugify(client.client_name)}.md`,
+      markdown: formatBrief(client, own),
+    };
+  });
+}
+
+// Writes the data dictionary and a brief per client into `dir`, removing
+// briefs of clients no longer present, and returns the paths written.
+function writeContextBriefs(dir, workbooks) {
+  const dictionaryPath = path.join(dir, DATA_DICTIONARY);
+  fs.writeFileSync(dictionaryPath, buildDataDictionary());
+
+  const briefsDir = path.join(dir, BRIEFS_DIR);
+  fs.mkdirSync(briefsDir, { recursive: true });
+  const briefs = buildClientBriefs(workbooks);
+  const current = new Set(briefs.map((brief) => brief.file));
+  for (const file of fs.readdirSync(briefsDir)) {
+    if (file.endsWith('.md') && !current.has(file)) fs.rmSync(path.join(briefsDir, file));
+  }
+  for (const brief of briefs) fs.writeFileSync(path.join(briefsDir, brief.file), brief.markdown);
+  return [dictionaryPath, ...briefs.map((brief) => path.join(briefsDir, brief.file))];
+}
+
+module.exports = {
+  DATA_DICTIONARY,
+  BRIEFS_DIR,
+  FIELD_DESCRIPTIONS,
+  schemaFields,
+  buildDataDictionary,
+  buildClientBriefs,
+  writeContextBriefs,
+};
@@ -0,0 +1,228 @@
+const { getYear } = require('./spreadsheet-to-json');
+const { round, summariseResponses } = require('./report-stats');
+
+// Year-over-year comparison of one client's reviews. Questions are matched
+// between consecutive reviews first on their stable question ID and
+// sub-question, then on number, text and sub-question, then on text and
+// sub-question alone so renumbered questions still line up. Each key is tried
+// within the same report before across reports.
+//
+// Means are of `normalised_score` (0-1), so a question asked on a 1-5 scale
+// one year and a 1-7 scale the next is still compared fairly.
+
+function flattenQuestions(workbook) {
+  return workbook.reports.flatMap((report) =>
+    report.questions.map((q) => ({
+      report_name: report.report_name,
+      question_id: q.question_id,
+      question_number: q.question_number,
+      question_text: q.question_text,
+      sub_question_text: q.sub_question_text || '',
+      stats: summariseResponses(q.responses),
+    }))
+  );
+}
+
+const idKey = (q) => (q.question_id ? `${q.question_id}|${q.sub_question_text}` : null);
+const exactKey = (q) => `${q.question_number}|${q.question_text}|${q.sub_question_text}`;
+const textKey = (q) => `${q.question_text}|${q.sub_question_text}`;
+const inReport = (keyFn) => (q) => (keyFn(q) === null ? null : `${q.report_name}|${keyFn(q)}`);
+const MATCH_KEYS = [inReport(idKey), idKey, inReport(exactKey), exactKey, inReport(textKey), textKey];
+
+function matchQuestions(previous, current) {
+  const matched = [];
+  const remainingPrevious = new Set(previous);
+  const remainingCurrent = new Set(current);
+
+  for (const keyFn of MATCH_KEYS) {
+    const byKey = new Map();
+    for (const q of remainingPrevious) {
+      if (keyFn(q) !== null && !byKey.has(keyFn(q))) byKey.set(keyFn(q), q);
+    }
+    for (const q of Array.from(remainingCurrent)) {
+      if (keyFn(q) === null) continue;
+      const prev = byKey.get(keyFn(q));
+      if (!prev) continue;
+      byKey.delete(keyFn(q));
+      remainingPrevious.delete(prev);
+      remainingCurrent.delete(q);
+      matched.push({ previous: prev, current: q });
+    }
+  }
+
+  return { matched, added: Array.from(remainingCurrent), dropped: Array.from(remainingPrevious) };
+}
+
+function describeQuestion(q) {
+  return {
+    report_name: q.report_name,
+    question_id: q.question_id,
+    question_number: q.question_number,
+    question_text: q.question_text,
+    sub_question_text: q.sub_question_text || undefined,
+  };
+}
+
+function compareRespondents(previous, current) {
+  const prevMap = new Map(previous.respondees.map((r) => [r.name, r.position || '']));
+  const currMap = new Map(current.respondees.map((r) => [r.name, r.position || '']));
+  const joined = current.respondees.filter((r) => !prevMap.has(r.name));
+  const left = previous.respondees.filter((r) => !currMap.has(r.name));
+  const continuing = current.respondees.filter((r) => prevMap.has(r.name)).map((r) => r.name);
+  const role_changes = current.respondees
+    .filter((r) => prevMap.has(r.name) && prevMap.get(r.name) !== (r.position || ''))
+    .map((r) => ({ name: r.name, from: prevMap.get(r.name), to: r.position || '' }));
+  return { joined, left, continuing, role_changes };
+}
+
+function reviewLabel(workbook) {
+  return { created_date: workbook.created_date, year: getYear(workbook.created_date), source: workbook.source };
+}
+
+function compareReviews(previous, current) {
+  const { matched, added, dropped } = matchQuestions(flattenQuestions(previous), flattenQuestions(current));
+  const movements = matched.map(({ previous: prev, current: curr }) => ({
+    ...describeQuestion(curr),
+    previous_question_number: prev.question_number !== curr.question_number ? prev.question_number : undefined,
+    previous_mean: prev.stats.normalised_mean,
+    current_mean: curr.stats.normalised_mean,
+    change:
+      prev.stats.normalised_mean !== null && curr.stats.normalised_mean !== null
+        ? curr.stats.normalised_mean - prev.stats.normalised_mean
+        : null,
+    previous_scored: prev.stats.scored,
+    current_scored: curr.stats.scored,
+  }));
+  const overallPrev = summariseResponses(previous.reports.flatMap((r) => r.questions.flatMap((q) => q.responses)));
+  const overallCurr = summariseResponses(current.reports.flatMap((r) => r.questions.flatMap((q) => q.responses)));
+  return {
+    previous: reviewLabel(previous),
+    current: reviewLabel(current),
+    overall: {
+      previous_mean: overallPrev.normalised_mean,
+      current_mean: overallCurr.normalised_mean,
+      change:
+        overallPrev.normalised_mean !== null && overallCurr.normalised_mean !== null
+          ? overallCurr.normalised_mean - overallPrev.normalised_mean
+          : null,
+    },
+    movements,
+    added: added.map(describeQuestion),
+    dropped: dropped.map(describeQuestion),
+    respondents: compareRespondents(previous, current),
+  };
+}
+
+// Compares each review of a client with the one before it. `years` optionally
+// restricts the comparison to reviews created in those years.
+function compareClient(workbooks, clientName, years = null) {
+  const reviews = workbooks
+    .filter((wb) => wb.client_name.toLowerCase() === clientName.toLowerCase())
+    .filter((wb) => !years || years.includes(getYear(wb.created_date)))
+    .sort((a, b) => String(a.created_date).localeCompare(String(b.created_date)));
+  if (reviews.length < 2) {
+    throw new Error(`Need at least two reviews for '${clientName}' to compare, found ${reviews.length}`);
+  }
+  const comparisons = [];
+  for (let i = 1; i < reviews.length; i++) {
+    comparisons.push(compareReviews(reviews[i - 1], reviews[i]));
+  }
+  return { client_name: reviews[0].client_name, reviews: reviews.map(reviewLabel), comparisons };
+}
+
+// --- Formatting ---
+
+function formatNumber(value) {
+  return value === null || value === undefined ? '-' : String(round(value));
+}
+
+function formatChange(value) {
+  if (value === null || value === undefined) return '-';
+  const rounded = round(value);
+  return rounded > 0 ? `+${rounded}` : String(rounded);
+}
+
+function questionLabel(q) {
+  const number = q.question_number === null ? '' : `Q${q.question_number}. `;
+  const sub = q.sub_question_text ? ` — ${q.sub_question_text}` : '';
+  return `${number}${q.question_text}${sub}`;
+}
+
+function formatText(result) {
+  const lines = [`${result.client_name}: ${result.reviews.map((r) => r.created_date).join(' → ')}`];
+  for (const c of result.comparisons) {
+    lines.push('');
+    lines.push(`${c.previous.created_date} → ${c.current.created_date}`);
+    lines.push(
+      `  Overall mean (0-1): ${formatNumber(c.overall.previous_mean)} → ${formatNumber(c.overall.current_mean)} (${formatChange(c.overall.change)})`
+    );
+    lines.push('  Score movements (0-1):');
+    for (const m of c.movements) {
+      lines.push(
+        `    ${formatChange(m.change).padStart(6)}  ${formatNumber(m.previous_mean)} → ${formatNumber(m.current_mean)}  [${m.report_name}] ${questionLabel(m)}`
+      );
+    }
+    if (c.added.length > 0) {
+      lines.push('  Added questions:');
+      for (const q of c.added) lines.push(`    + [${q.report_name}] ${questionLabel(q)}`);
+    }
+    if (c.dropped.length > 0) {
+      lines.push('  Dropped questions:');
+      for (const q of c.dropped) lines.push(`    - [${q.report_name}] ${questionLabel(q)}`);
+    }
+    const { joined, left, role_changes, continuing } = c.respondents;
+    lines.push(`  Respondents: ${continuing.length} continuing, ${joined.length} joined, ${left.length} left`);
+    for (const r of joined) lines.push(`    + ${r.name}${r.position ? ` (${r.position})` : ''}`);
+    for (const r of left) lines.push(`    - ${r.name}${r.position ? ` (${r.position})` : ''}`);
+    for (const r of role_changes) lines.push(`    ~ ${r.name}: ${r.from || '?'} → ${r.to || '?'}`);
+  }
+  return lines.join('\n');
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+function formatMarkdown(result) {
+  const lines = [`# ${result.client_name}: year-over-year comparison`, ''];
+  for (const c of result.comparisons) {
+    lines.push(`## ${c.previous.created_date} → ${c.current.created_date}`, '');
+    lines.push(
+      `Overall mean (0-1): ${formatNumber(c.overall.previous_mean)} → ${formatNumber(c.overall.current_mean)} (${formatChange(c.overall.change)})`,
+      ''
+    );
+    lines.push('| Report | Question | Previous | Current | Change |', '| --- | --- | --- | --- | --- |');
+    for (const m of c.movements) {
+      lines.push(
+        `| ${escapeMarkdown(m.report_name)} | ${escapeMarkdown(questionLabel(m))} | ${formatNumber(m.previous_mean)} | ${formatNumber(m.current_mean)} | ${formatChange(m.change)} |`
+      );
+    }
+    lines.push('');
+    if (c.added.length > 0) {
+      lines.push('### Added questions', '');
+      for (const q of c.added) lines.push(`- ${q.report_name}: ${questionLabel(q)}`);
+      lines.push('');
+    }
+    if (c.dropped.length > 0) {
+      lines.push('### Dropped questions', '');
+      for (const q of c.dropped) lines.push(`- ${q.report_name}: ${questionLabel(q)}`);
+      lines.push('');
+    }
+    const { joined, left, role_changes, continuing } = c.respondents;
+    lines.push('### Respondents', '');
+    lines.push(`${continuing.length} continuing, ${joined.length} joined, ${left.length} left.`, '');
+    for (const r of joined) lines.push(`- Joined: ${r.name}${r.position ? ` (${r.position})` : ''}`);
+    for (const r of left) lines.push(`- Left: ${r.name}${r.position ? ` (${r.position})` : ''}`);
+    for (const r of role_changes) lines.push(`- Role change: ${r.name}, ${r.from || '?'} → ${r.to || '?'}`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  matchQuestions,
+  compareReviews,
+  compareClient,
+  formatText,
+  formatMarkdown,
+};
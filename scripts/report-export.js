@@ -0,0 +1,104 @@
+const { getYear } = require('./spreadsheet-to-json');
+
+// Long-format export of processed workbooks: one row per response, with the
+// client, review, report and question it belongs to repeated on every row.
+// Questions without responses still get one row, with the response columns
+// left empty, so they are not lost from the export.
+// `scale` is the question's scale as "1-5", "yes_no" or "multi_select", and
+// `normalised_score` the score on a 0-1 range, for comparing across scales.
+
+const EXPORT_COLUMNS = [
+  'client_name',
+  'year',
+  'created_date',
+  'report_name',
+  'question_id',
+  'question_number',
+  'question_text',
+  'sub_question_text',
+  'respondent',
+  'position',
+  'score',
+  'normalised_score',
+  'scale',
+  'response',
+  'comment',
+  'skip_reason',
+  'source',
+];
+
+function describeScale(scale) {
+  if (!scale) return null;
+  return scale.type === 'numeric' ? `${scale.min}-${scale.max}` : scale.type;
+}
+
+function flattenWorkbook(workbook) {
+  const positions = new Map(workbook.respondees.map((r) => [r.name, r.position]));
+  const rows = [];
+  for (const report of workbook.reports) {
+    for (const q of report.questions) {
+      const question = {
+        client_name: workbook.client_name,
+        year: getYear(workbook.created_date),
+        created_date: workbook.created_date,
+        report_name: report.report_name,
+        question_id: q.question_id ?? null,
+        question_number: q.question_number,
+        question_text: q.question_text,
+        sub_question_text: q.sub_question_text ?? null,
+        scale: describeScale(q.scale),
+      };
+      const responses = q.responses.length > 0 ? q.responses : [{}];
+      for (const r of responses) {
+        rows.push({
+          ...question,
+          respondent: r.respondent ?? null,
+          position: positions.get(r.respondent) ?? null,
+          score: r.score ?? null,
+          normalised_score: r.normalised_score ?? null,
+          response: r.response ?? null,
+          comment: r.comment ?? null,
+          skip_reason: r.skip_reason ?? null,
+          source: workbook.source ?? null,
+        });
+      }
+    }
+  }
+  return rows;
+}
+
+const matchesAny = (values, value) =>
+  !values || values.length === 0 || values.some((v) => String(v).toLowerCase() === String(value).toLowerCase());
+
+// Filters are lists of accepted values, compared case-insensitively; an empty
+// or missing list accepts everything.
+function exportRows(workbooks, { clients, years, reports } = {}) {
+  return workbooks
+    .filter((wb) => matchesAny(clients, wb.client_name) && matchesAny(years, getYear(wb.created_date)))
+    .flatMap(flattenWorkbook)
+    .filter((row) => matchesAny(reports, row.report_name));
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = [EXPORT_COLUMNS.join(',')];
+  for (const row of rows) lines.push(EXPORT_COLUMNS.map((column) => csvValue(row[column])).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function toNdjson(rows) {
+  return rows.map((row) => `${JSON.stringify(row)}\n`).join('');
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  flattenWorkbook,
+  exportRows,
+  toCsv,
+  toNdjson,
+};
@@ -0,0 +1,62 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { compileCompaniesSummary, compileQuestionsSummary } = require('./spreadsheet-to-json');
+const { compileBoardHistory } = require('./report-board');
+
+// Index files live alongside the processed workbooks in context/reports. They
+// are prefixed with an underscore so they sort first and are never mistaken
+// for a workbook.
+const INDEX_PREFIX = '_';
+const COMPANIES_INDEX = `${INDEX_PREFIX}companies.json`;
+const QUESTIONS_INDEX = `${INDEX_PREFIX}questions.json`;
+const RESPONDENTS_INDEX = `${INDEX_PREFIX}respondents.json`;
+
+function isIndexFile(fileName) {
+  return path.basename(fileName).startsWith(INDEX_PREFIX);
+}
+
+// Reads every processed workbook JSON in `dir`, skipping index files.
+// Each entry is the parsed workbook with a `source` property naming the file.
+function readProcessedReports(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith('.json') && !isIndexFile(file))
+    .sort()
+    .map((file) => {
+      const json = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      return { ...json, source: file };
+    });
+}
+
+function buildReportIndex(spreadsheets) {
+  return {
+    companies: compileCompaniesSummary(spreadsheets),
+    questions: compileQuestionsSummary(spreadsheets),
+    respondents: compileBoardHistory(spreadsheets),
+  };
+}
+
+// Writes the company, question and respondent indexes into `dir` and returns
+// their paths.
+function writeReportIndex(dir, spreadsheets) {
+  const { companies, questions, respondents } = buildReportIndex(spreadsheets);
+  const generated_at = new Date().toISOString();
+  const companiesPath = path.join(dir, COMPANIES_INDEX);
+  const questionsPath = path.join(dir, QUESTIONS_INDEX);
+  const respondentsPath = path.join(dir, RESPONDENTS_INDEX);
+  fs.writeFileSync(companiesPath, JSON.stringify({ generated_at, companies }, null, 2));
+  fs.writeFileSync(questionsPath, JSON.stringify({ generated_at, questions }, null, 2));
+  fs.writeFileSync(respondentsPath, JSON.stringify({ generated_at, clients: respondents }, null, 2));
+  return [companiesPath, questionsPath, respondentsPath];
+}
+
+module.exports = {
+  COMPANIES_INDEX,
+  QUESTIONS_INDEX,
+  RESPONDENTS_INDEX,
+  isIndexFile,
+  readProcessedReports,
+  buildReportIndex,
+  writeReportIndex,
+};
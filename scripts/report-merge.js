@@ -0,0 +1,156 @@
+const { normaliseName } = require('./respondent-identity');
+
+// Merging workbooks that belong to the same review.
+//
+// A review can arrive as several workbooks (board, committee and executive
+// surveys), each with its own details sheet. Workbooks with the same client
+// (ignoring case) and the same `created_date` are merged into one review:
+//
+// - Reports are combined. Reports with the same name (ignoring case) become
+//   one report, and their questions are combined in turn: the same question
+//   (same ID, number, text and sub-question) keeps one entry with the
+//   responses of every workbook.
+// - Respondees are combined on their `respondent_id`, or their normalised name
+//   for workbooks without IDs.
+// - Every report lists the workbooks it came from in `sources`, and the
+//   review lists them all in `merged_from`.
+//
+// Conflicts are reported rather than resolved silently: a respondent with two
+// different answers to the same question, or two different positions, keeps
+// the first (in the order the workbooks are given) and a conflict is returned.
+// Identical duplicates are dropped without comment.
+
+// In merge mode each workbook is written to this directory inside the output
+// directory, and only the merged reviews are written to the output directory
+// itself, so readProcessedReports never sees a review twice.
+const PARTS_DIR = '_parts';
+
+function slugify(text) {
+  return (
+    String(text)
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'client'
+  );
+}
+
+// File name of a merged review, e.g. "acme-plc-2025-03-02.json".
+function reviewFileName(clientName, createdDate) {
+  return `${slugify(clientName)}-${createdDate}.json`;
+}
+
+const reportKey = (report) => report.report_name.trim().toLowerCase();
+const questionKey = (q) =>
+  [q.question_id ?? '', q.question_number ?? '', q.question_text, q.sub_question_text ?? ''].join('|');
+const respondeeKey = (r) => r.respondent_id || `name:${normaliseName(r.name)}`;
+
+const answerOf = ({ respondent, ...answer }) => JSON.stringify(answer);
+
+function describeAnswer(response) {
+  if (response.score !== undefined) return `score ${response.score}`;
+  if (response.response) return `"${response.response}"`;
+  if (response.comment) return `comment "${response.comment}"`;
+  if (response.skip_reason) return `skipped ("${response.skip_reason}")`;
+  return 'no answer';
+}
+
+function mergeQuestion(target, question, source, conflict) {
+  for (const response of question.responses) {
+    const existing = target.responses.find((r) => r.respondent === response.respondent);
+    if (!existing) {
+      target.responses.push(response);
+    } else if (answerOf(existing) !== answerOf(response)) {
+      const label = question.sub_question_text
+        ? `${question.question_text} (${question.sub_question_text})`
+        : question.question_text;
+      conflict(
+        `${response.respondent} answered "${label}" twice: kept ${describeAnswer(existing)}, ` +
+          `dropped ${describeAnswer(response)} from ${source}`
+      );
+    }
+  }
+  if (question.scale && target.scale && JSON.stringify(question.scale) !== JSON.stringify(target.scale)) {
+    conflict(`"${question.question_text}" has a different scale in ${source}; kept the first`);
+  }
+}
+
+function mergeReport(target, report, source, conflict) {
+  target.sources.push({ file: source, report_name: report.report_name });
+  const questions = new Map(target.questions.map((q) => [questionKey(q), q]));
+  for (const question of report.questions) {
+    const existing = questions.get(questionKey(question));
+    if (existing) {
+      mergeQuestion(existing, question, source, (message) => conflict(message, target.report_name));
+    } else {
+      const copy = { ...question, responses: [...question.responses] };
+      target.questions.push(copy);
+      questions.set(questionKey(copy), copy);
+    }
+  }
+}
+
+function mergeRespondees(respondees, workbook, source, conflict) {
+  for (const respondee of workbook.respondees) {
+    const existing = respondees.get(respondeeKey(respondee));
+    if (!existing) {
+      respondees.set(respondeeKey(respondee), { respondee: { ...respondee }, source });
+    } else if (!existing.respondee.position) {
+      existing.respondee.position = respondee.position;
+    } else if (respondee.position && respondee.position !== existing.respondee.position) {
+      conflict(
+        `${respondee.name} is "${existing.respondee.position}" in ${existing.source} and "${respondee.position}" ` +
+          `in ${source}; kept "${existing.respondee.position}"`
+      );
+    }
+  }
+}
+
+// Merges workbooks of one review. Each workbook needs a `source` naming the
+// file it came from. Returns the merged review and its conflicts as
+// { message, report_name }.
+function mergeWorkbooks(workbooks) {
+  const conflicts = [];
+  const reports = new Map();
+  const respondees = new Map();
+  for (const workbook of workbooks) {
+    const source = workbook.source;
+    for (const report of workbook.reports) {
+      if (!reports.has(reportKey(report))) {
+        reports.set(reportKey(report), { report_name: report.report_name, sources: [], questions: [] });
+      }
+      mergeReport(reports.get(reportKey(report)), report, source, (message, report_name) =>
+        conflicts.push({ message, report_name })
+      );
+    }
+    mergeRespondees(respondees, workbook, source, (message) => conflicts.push({ message, report_name: null }));
+  }
+  const [first] = workbooks;
+  const review = {
+    client_name: first.client_name,
+    created_date: first.created_date,
+    merged_from: workbooks.map((wb) => wb.source),
+    reports: Array.from(reports.values()),
+    respondees: Array.from(respondees.values(), (entry) => entry.respondee),
+  };
+  const unmatchedHeaders = [...new Set(workbooks.flatMap((wb) => wb.unmatchedHeaders || []))];
+  if (unmatchedHeaders.length > 0) review.unmatchedHeaders = unmatchedHeaders;
+  return { review, conflicts };
+}
+
+// Groups workbooks by client and review date and merges each group. Returns
+// [{ file, review, conflicts }] in file name order.
+function mergeReviews(workbooks) {
+  const groups = new Map();
+  for (const workbook of workbooks) {
+    const file = reviewFileName(workbook.client_name.trim(), workbook.created_date);
+    if (!groups.has(file)) groups.set(file, []);
+    groups.get(file).push(workbook);
+  }
+  return [...groups]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([file, group]) => ({ file, ...mergeWorkbooks(group) }));
+}
+
+module.exports = { PARTS_DIR, slugify, reviewFileName, mergeWorkbooks, mergeReviews };
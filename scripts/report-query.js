@@ -0,0 +1,109 @@
+const { exportRows } = require('./report-export');
+
+// Read-only queries over processed workbooks. Works on the long-format rows of
+// report-export.js, so every result is one response with its client, review,
+// report and question.
+
+const DEFAULT_COLUMNS = [
+  'client_name',
+  'year',
+  'report_name',
+  'question_number',
+  'question_text',
+  'sub_question_text',
+  'respondent',
+  'position',
+  'score',
+  'comment',
+  'skip_reason',
+];
+
+const COLUMN_LABELS = {
+  client_name: 'Client',
+  year: 'Year',
+  created_date: 'Date',
+  report_name: 'Report',
+  question_id: 'Question ID',
+  question_number: 'Q',
+  question_text: 'Question',
+  sub_question_text: 'Sub-question',
+  respondent: 'Respondent',
+  position: 'Position',
+  score: 'Score',
+  normalised_score: 'Score (0-1)',
+  scale: 'Scale',
+  response: 'Response',
+  comment: 'Comment',
+  skip_reason: 'Skip reason',
+  source: 'Source',
+};
+
+const contains = (values, value) =>
+  !values ||
+  values.length === 0 ||
+  (value !== null && values.some((v) => String(value).toLowerCase().includes(String(v).toLowerCase())));
+
+function inScoreRange(score, min, max) {
+  return score !== null && (min === undefined || score >= min) && (max === undefined || score <= max);
+}
+
+// Filters:
+// - clients, years, reports: lists of exact (case-insensitive) values
+// - questions: list of question numbers
+// - text: RegExp tested against the question and sub-question text
+// - respondents, positions: lists of case-insensitive substrings
+// - minScore, maxScore: inclusive score range; responses without a score never match
+// - hasComment, hasSkipReason: only responses with a comment / skip reason
+function queryResponses(workbooks, filters = {}) {
+  const { questions, text, respondents, positions, minScore, maxScore, hasComment, hasSkipReason } = filters;
+  const hasScoreFilter = minScore !== undefined || maxScore !== undefined;
+  return exportRows(workbooks, filters).filter(
+    (row) =>
+      row.respondent !== null &&
+      (!questions || questions.length === 0 || questions.includes(row.question_number)) &&
+      (!text || text.test(row.question_text) || (row.sub_question_text !== null && text.test(row.sub_question_text))) &&
+      contains(respondents, row.respondent) &&
+      contains(positions, row.position) &&
+      (!hasScoreFilter || inScoreRange(row.score, minScore, maxScore)) &&
+      (!hasComment || Boolean(row.comment)) &&
+      (!hasSkipReason || Boolean(row.skip_reason))
+  );
+}
+
+function cellText(value) {
+  return value === null || value === undefined ? '' : String(value).replace(/\s+/g, ' ');
+}
+
+function truncate(text, width) {
+  return text.length > width ? `${text.slice(0, width - 1)}…` : text;
+}
+
+function formatTable(rows, columns = DEFAULT_COLUMNS, { maxWidth = 40 } = {}) {
+  if (rows.length === 0) return 'No matching responses.';
+  const cells = rows.map((row) => columns.map((column) => truncate(cellText(row[column]), maxWidth)));
+  const headers = columns.map((column) => COLUMN_LABELS[column] || column);
+  const widths = headers.map((header, i) => Math.max(header.length, ...cells.map((row) => row[i].length)));
+  const line = (values) => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+  const rule = widths.map((width) => '-'.repeat(width));
+  return [line(headers), line(rule), ...cells.map(line), '', `${rows.length} response(s)`].join('\n');
+}
+
+function formatMarkdown(rows, columns = DEFAULT_COLUMNS) {
+  if (rows.length === 0) return 'No matching responses.\n';
+  const escape = (value) => cellText(value).replace(/\|/g, '\\|');
+  return [
+    `| ${columns.map((column) => COLUMN_LABELS[column] || column).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.map((row) => `| ${columns.map((column) => escape(row[column])).join(' | ')} |`),
+    '',
+    `${rows.length} response(s)`,
+    '',
+  ].join('\n');
+}
+
+module.exports = {
+  DEFAULT_COLUMNS,
+  queryResponses,
+  formatTable,
+  formatMarkdown,
+};
@@ -0,0 +1,222 @@
+// Deterministic score statistics over processed workbooks (SpreadsheetSchema output).
+// Only numeric `score` values are counted; free-text responses are ignored.
+// Standard deviation is the population standard deviation of the scores.
+//
+// Every summary also has `normalised_mean`, the mean `normalised_score` (0-1),
+// which is the figure to compare across questions asked on different scales.
+// Summaries that pool several questions (a report, a workbook) only give the
+// raw score figures when every scored question shares one scale; otherwise
+// they are null and `mixed_scales` is true.
+
+function round(value, places = 2) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+function stdDev(values) {
+  if (values.length === 0) return null;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / values.length);
+}
+
+// Counts of each score as [score, count] pairs in score order. An object
+// keyed by score would list whole numbers before decimals.
+function distribution(values) {
+  const counts = new Map();
+  for (const v of [...values].sort((a, b) => a - b)) {
+    counts.set(v, (counts.get(v) || 0) + 1);
+  }
+  return [...counts];
+}
+
+// Summarises a flat list of responses.
+function summariseResponses(responses) {
+  const scores = responses.filter((r) => typeof r.score === 'number').map((r) => r.score);
+  const normalised = responses.filter((r) => typeof r.normalised_score === 'number').map((r) => r.normalised_score);
+  const skipped = responses.filter((r) => r.skip_reason).length;
+  return {
+    responses: responses.length,
+    scored: scores.length,
+    skipped,
+    skip_rate: responses.length ? skipped / responses.length : null,
+    mean: mean(scores),
+    normalised_mean: mean(normalised),
+    median: median(scores),
+    std_dev: stdDev(scores),
+    min: scores.length ? Math.min(...scores) : null,
+    max: scores.length ? Math.max(...scores) : null,
+    distribution: distribution(scores),
+  };
+}
+
+function scaleKey(question) {
+  const { scale } = question;
+  if (!scale) return 'unscaled';
+  return scale.type === 'multi_select' ? scale.type : `${scale.type}:${scale.min}-${scale.max}`;
+}
+
+// Summarises the responses of several questions. Raw score figures are only
+// kept when every scored question is on the same scale.
+function summariseQuestions(questions) {
+  const scored = questions.filter((q) => q.responses.some((r) => typeof r.score === 'number'));
+  const mixed_scales = new Set(scored.map(scaleKey)).size > 1;
+  const stats = summariseResponses(questions.flatMap((q) => q.responses));
+  if (!mixed_scales) return { ...stats, mixed_scales };
+  return { ...stats, mean: null, median: null, std_dev: null, min: null, max: null, distribution: [], mixed_scales };
+}
+
+// Groups a report's questions by number and text so sub-questions sit under
+// the question they belong to.
+function groupQuestions(questions) {
+  const groups = new Map();
+  for (const q of questions) {
+    const key = `${q.question_number}|${q.question_text}`;
+    if (!groups.has(key)) {
+      groups.set(key, { question_number: q.question_number, question_text: q.question_text, entries: [] });
+    }
+    groups.get(key).entries.push(q);
+  }
+  return Array.from(groups.values());
+}
+
+function computeReportStats(report) {
+  const questions = groupQuestions(report.questions).map((group) => {
+    const responses = group.entries.flatMap((q) => q.responses);
+    const sub_questions = group.entries
+      .filter((q) => q.sub_question_text)
+      .map((q) => ({ sub_question_text: q.sub_question_text, ...summariseResponses(q.responses) }));
+    return {
+      question_number: group.question_number,
+      question_text: group.question_text,
+      ...summariseResponses(responses),
+      sub_questions,
+    };
+  });
+  return {
+    report_name: report.report_name,
+    ...summariseQuestions(report.questions),
+    questions,
+  };
+}
+
+function computeWorkbookStats(workbook) {
+  const reports = workbook.reports.map(computeReportStats);
+  return {
+    source: workbook.source,
+    client_name: workbook.client_name,
+    created_date: workbook.created_date,
+    ...summariseQuestions(workbook.reports.flatMap((r) => r.questions)),
+    reports,
+  };
+}
+
+// --- Formatting ---
+
+const STAT_FIELDS = ['responses', 'scored', 'skip_rate', 'mean', 'normalised_mean', 'median', 'std_dev', 'min', 'max'];
+
+function formatValue(field, value) {
+  if (value === null || value === undefined) return '-';
+  if (field === 'skip_rate') return `${round(value * 100, 1)}%`;
+  return String(round(value));
+}
+
+function formatDistribution(dist) {
+  if (dist.length === 0) return '-';
+  return dist.map(([score, count]) => `${score}:${count}`).join(' ');
+}
+
+function questionLabel(q) {
+  return q.question_number === null ? q.question_text : `Q${q.question_number}. ${q.question_text}`;
+}
+
+function formatStatsLine(stats) {
+  return STAT_FIELDS.map((f) => `${f}=${formatValue(f, stats[f])}`).join(' ');
+}
+
+function formatText(workbookStats) {
+  const lines = [];
+  for (const wb of workbookStats) {
+    lines.push(`${wb.client_name} (${wb.created_date})${wb.source ? ` [${wb.source}]` : ''}`);
+    lines.push(`  ${formatStatsLine(wb)}`);
+    for (const report of wb.reports) {
+      lines.push('');
+      lines.push(`  ${report.report_name}`);
+      lines.push(`    ${formatStatsLine(report)}`);
+      for (const q of report.questions) {
+        lines.push(`    ${questionLabel(q)}`);
+        lines.push(`      ${formatStatsLine(q)} dist=${formatDistribution(q.distribution)}`);
+        for (const sub of q.sub_questions) {
+          lines.push(`      - ${sub.sub_question_text}`);
+          lines.push(`        ${formatStatsLine(sub)} dist=${formatDistribution(sub.distribution)}`);
+        }
+      }
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+function markdownRow(label, stats) {
+  const cells = STAT_FIELDS.map((f) => formatValue(f, stats[f]));
+  return `| ${escapeMarkdown(label)} | ${cells.join(' | ')} | ${formatDistribution(stats.distribution)} |`;
+}
+
+function formatMarkdown(workbookStats) {
+  const header = `| Question | ${STAT_FIELDS.join(' | ')} | distribution |`;
+  const divider = `|${' --- |'.repeat(STAT_FIELDS.length + 2)}`;
+  const lines = [];
+  for (const wb of workbookStats) {
+    lines.push(`# ${wb.client_name} (${wb.created_date})`);
+    lines.push('');
+    if (wb.source) {
+      lines.push(`Source: \`${wb.source}\``);
+      lines.push('');
+    }
+    lines.push(header, divider, markdownRow('All reports', wb), '');
+    for (const report of wb.reports) {
+      lines.push(`## ${report.report_name}`);
+      lines.push('');
+      lines.push(header, divider, markdownRow('All questions', report));
+      for (const q of report.questions) {
+        lines.push(markdownRow(questionLabel(q), q));
+        for (const sub of q.sub_questions) {
+          lines.push(markdownRow(`↳ ${sub.sub_question_text}`, sub));
+        }
+      }
+      lines.push('');
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  round,
+  mean,
+  median,
+  stdDev,
+  distribution,
+  summariseResponses,
+  summariseQuestions,
+  groupQuestions,
+  computeReportStats,
+  computeWorkbookStats,
+  formatText,
+  formatMarkdown,
+};
@@ -0,0 +1,250 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const Handlebars = require('handlebars');
+const { getYear } = require('./spreadsheet-to-json');
+const { round, summariseResponses, summariseQuestions, groupQuestions } = require('./report-stats');
+
+// Renders client reports from Handlebars templates. The template gets one
+// processed workbook, with every figure already computed, so the structure and
+// numbers of a deliverable are the same every time and only the narrative is
+// left to write.
+//
+// The data passed to a template looks like:
+// {
+//   "client_name": "Acme plc", "year": "2024", "created_date": "2024-03-01", "source": "acme-2024.json",
+//   "respondents": [{ "name": "…", "position": "…" }],
+//   "scale": "1-5",
+//   "stats": { "responses", "scored", "skipped", "skip_rate", "mean", "normalised_mean", "median", "std_dev", "min",
+//              "max", "distribution", "mixed_scales" },
+//   "reports": [{
+//     "report_name": "…", "scale": "1-5", "stats": { … },
+//     "questions": [{
+//       "question_number": 1, "question_text": "…", "label": "Q1. …", "scale": "1-5", "stats": { … },
+//       "sub_questions": [{ "sub_question_text": "…", "stats": { … }, "responses": [ … ] }],
+//       "responses": [{ "respondent", "position", "sub_question_text", "score", "normalised_score", "response",
+//                       "comment", "skip_reason" }],
+//       "comments": [{ "sub_question_text", "score", "comment", "attribution" }]
+//     }],
+//     "lowest": [ … questions ], "highest": [ … questions ], "selected_comments": [ … ]
+//   }],
+//   "lowest": [ … ], "highest": [ … ], "selected_comments": [ … ]   (across all reports)
+// }
+//
+// `lowest` and `highest` are the scored questions with the lowest and highest
+// normalised mean; see rankQuestions. `selected_comments` are the comments on
+// those questions, lowest first. Comments carry the question's `report_name`,
+// `question_number`, `question_text` and `label` as well.
+//
+// Comments are quoted in deliverables, so they leave out the respondent.
+// `attribution` is the respondent's position when at least
+// MIN_ATTRIBUTION_GROUP respondents of the review hold it, and null otherwise,
+// as a position held by one or two people names them.
+//
+// `scale` is the range the raw score figures are on ("1-5"). Report and
+// overall `stats` pool questions that may use different scales: their
+// `scale` is then null, as are the raw score figures (`mixed_scales`), and
+// `normalised_mean` (0-1) is the figure to quote.
+//
+// Helpers: {{format value}} (2 decimal places, or "-"), {{percent value}},
+// {{distribution stats.distribution}} ("1:2 3:4"; the distribution is
+// [score, count] pairs in score order), {{cell text}} (safe in a
+// Markdown table cell), {{quote text}} (a Markdown blockquote) and
+// {{inc @index}} (1-based numbering).
+//
+// Every .md or .hbs file in the house style directory is a partial named after
+// the file, so styles/house/introduction.md is used by {{> introduction}}.
+// Templates can give a fallback with {{#> introduction}}…{{/introduction}}.
+
+const PARTIAL_EXTENSIONS = ['.md', '.hbs'];
+const MIN_ATTRIBUTION_GROUP = 3;
+
+function questionLabel(q) {
+  return q.question_number === null ? q.question_text : `Q${q.question_number}. ${q.question_text}`;
+}
+
+function scaleLabel(scale) {
+  return scale && scale.type !== 'multi_select' ? `${scale.min}-${scale.max}` : null;
+}
+
+// The scale shared by every scored question, or null when they differ.
+function sharedScale(questions) {
+  const scales = new Set(questions.filter((q) => q.stats.scored > 0).map((q) => q.scale));
+  return scales.size === 1 ? [...scales][0] : null;
+}
+
+// The `count` lowest- and highest-scoring questions by normalised mean, so
+// questions on different scales rank fairly, keeping question order
+// among ties. With few scored questions each list takes at most half of them
+// (the highest getting the odd one out), so a question is never both.
+function rankQuestions(questions, count) {
+  const ranked = questions
+    .map((q, i) => ({ q, i }))
+    .filter(({ q }) => q.stats.normalised_mean !== null)
+    .sort((a, b) => a.q.stats.normalised_mean - b.q.stats.normalised_mean || a.i - b.i)
+    .map(({ q }) => q);
+  const lowest = ranked.slice(0, Math.min(count, Math.floor(ranked.length / 2)));
+  const highest = ranked
+    .slice(lowest.length)
+    .sort((a, b) => b.stats.normalised_mean - a.stats.normalised_mean || questions.indexOf(a) - questions.indexOf(b))
+    .slice(0, count);
+  return { lowest, highest };
+}
+
+function selectComments(lowest, highest, limit) {
+  const seen = new Set();
+  const comments = [];
+  for (const q of [...lowest, ...highest]) {
+    if (seen.has(q)) continue;
+    seen.add(q);
+    comments.push(...q.comments);
+  }
+  return comments.slice(0, limit);
+}
+
+// The positions held by at least MIN_ATTRIBUTION_GROUP respondents, compared
+// ignoring case.
+function attributablePositions(respondees) {
+  const counts = new Map();
+  for (const r of respondees) {
+    const key = String(r.position ?? '').trim().toLowerCase();
+    if (key) counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return new Set([...counts].filter(([, count]) => count >= MIN_ATTRIBUTION_GROUP).map(([key]) => key));
+}
+
+function buildQuestion(reportName, group, positions, attributable) {
+  const question = {
+    report_name: reportName,
+    question_number: group.question_number,
+    question_text: group.question_text,
+    label: questionLabel(group),
+    scale: scaleLabel(group.entries[0].scale),
+  };
+  const toResponse = (q, r) => ({
+    respondent: r.respondent,
+    position: positions.get(r.respondent) ?? null,
+    sub_question_text: q.sub_question_text ?? null,
+    score: r.score ?? null,
+    normalised_score: r.normalised_score ?? null,
+    response: r.response ?? null,
+    comment: r.comment ?? null,
+    skip_reason: r.skip_reason ?? null,
+  });
+  const responses = group.entries.flatMap((q) => q.responses.map((r) => toResponse(q, r)));
+  return {
+    ...question,
+    stats: summariseResponses(responses),
+    sub_questions: group.entries
+      .filter((q) => q.sub_question_text)
+      .map((q) => ({
+        sub_question_text: q.sub_question_text,
+        stats: summariseResponses(q.responses),
+        responses: q.responses.map((r) => toResponse(q, r)),
+      })),
+    responses,
+    comments: responses
+      .filter((r) => r.comment)
+      .map((r) => ({
+        ...question,
+        sub_question_text: r.sub_question_text,
+        score: r.score,
+        comment: r.comment,
+        attribution: r.position && attributable.has(r.position.trim().toLowerCase()) ? r.position : null,
+      })),
+  };
+}
+
+// The template data for one workbook. `top` is the number of lowest- and
+// highest-scoring questions to pick, `comments` the most comments to select.
+function buildReportContext(workbook, { top = 3, comments = 5 } = {}) {
+  const positions = new Map(workbook.respondees.map((r) => [r.name, r.position]));
+  const attributable = attributablePositions(workbook.respondees);
+  const reports = workbook.reports.map((report) => {
+    const questions = groupQuestions(report.questions).map((group) =>
+      buildQuestion(report.report_name, group, positions, attributable)
+    );
+    const { lowest, highest } = rankQuestions(questions, top);
+    return {
+      report_name: report.report_name,
+      scale: sharedScale(questions),
+      stats: summariseQuestions(report.questions),
+      questions,
+      lowest,
+      highest,
+      selected_comments: selectComments(lowest, highest, comments),
+    };
+  });
+
+  const questions = reports.flatMap((r) => r.questions);
+  const { lowest, highest } = rankQuestions(questions, top);
+  return {
+    client_name: workbook.client_name,
+    year: getYear(workbook.created_date),
+    created_date: workbook.created_date,
+    source: workbook.source ?? null,
+    respondents: workbook.respondees.map((r) => ({ name: r.name, position: r.position ?? null })),
+    scale: sharedScale(questions),
+    stats: summariseQuestions(workbook.reports.flatMap((r) => r.questions)),
+    reports,
+    lowest,
+    highest,
+    selected_comments: selectComments(lowest, highest, comments),
+  };
+}
+
+// --- Templates ---
+
+function registerHelpers(handlebars) {
+  const isMissing = (value) => value === null || value === undefined;
+  handlebars.registerHelper('format', (value) => (isMissing(value) ? '-' : String(round(value))));
+  handlebars.registerHelper('percent', (value) => (isMissing(value) ? '-' : `${round(value * 100, 1)}%`));
+  handlebars.registerHelper('distribution', (dist) =>
+    !dist || dist.length === 0 ? '-' : dist.map(([score, count]) => `${score}:${count}`).join(' ')
+  );
+  handlebars.registerHelper('cell', (text) =>
+    isMissing(text) ? '' : String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ')
+  );
+  handlebars.registerHelper('quote', (text) =>
+    isMissing(text)
+      ? ''
+      : String(text)
+          .split('\n')
+          .map((line) => `> ${line}`.trimEnd())
+          .join('\n')
+  );
+  handlebars.registerHelper('inc', (value) => Number(value) + 1);
+}
+
+// Reads the house style partials from `styleDir`; a missing directory simply
+// means no house style.
+function loadHouseStyle(styleDir) {
+  if (!styleDir || !fs.existsSync(styleDir)) return {};
+  const partials = {};
+  for (const file of fs.readdirSync(styleDir).sort()) {
+    const ext = path.extname(file);
+    if (!PARTIAL_EXTENSIONS.includes(ext) || file === 'GEMINI.md') continue;
+    partials[path.basename(file, ext)] = fs.readFileSync(path.join(styleDir, file), 'utf8');
+  }
+  return partials;
+}
+
+// Compiles `template` with the helpers above and the given partials. Returns a
+// function that renders a template data object to Markdown. Syntax errors in
+// the template or partials are thrown here rather than on first render.
+function compileTemplate(template, partials = {}) {
+  const handlebars = Handlebars.create();
+  registerHelpers(handlebars);
+  for (const [name, source] of Object.entries(partials)) {
+    handlebars.parse(source);
+    handlebars.registerPartial(name, source);
+  }
+  // The output is Markdown, so nothing is HTML-escaped.
+  const render = handlebars.compile(handlebars.parse(template), { noEscape: true });
+  return (context) => `${render(context).replace(/\n{3,}/g, '\n\n').trim()}\n`;
+}
+
+module.exports = {
+  buildReportContext,
+  loadHouseStyle,
+  compileTemplate,
+};
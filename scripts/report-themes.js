@@ -0,0 +1,596 @@
+const { exportRows } = require('./report-export');
+const { round, mean } = require('./report-stats');
+const { loadLexicon } = require('./comment-lexicon');
+
+// Offline analysis of the free-text comments in processed workbooks: keywords
+// and phrases, lexicon-based sentiment, themes, and how themes shift between
+// review years. Nothing leaves the machine, and the same input always gives
+// the same output, so the theme map can be checked comment by comment.
+//
+// - Keywords are words outside the stopword list, with simple plurals folded
+//   together ("risks" counts as "risk"), ranked by the number of comments
+//   using them. Phrases are runs of two or three words within a clause that
+//   start and end with a keyword, do not span "and"/"or"/"but", and appear in
+//   at least two comments.
+// - Sentiment adds up the lexicon scores of a comment's words (see
+//   comment-lexicon.js). A negation up to three words before a sentiment word
+//   ("not very effective") flips its score. Every comment lists the words that
+//   were scored, so the result can be checked.
+// - Themes are found per client, across all its years, so a theme means the
+//   same thing in every year, report and question. Each comment becomes a
+//   TF-IDF vector of its keywords; comments join the most similar theme while
+//   the cosine similarity to the theme's centre is at least `similarity`, and
+//   themes whose centres are that similar are then merged. Themes with fewer
+//   than `minSize` comments are left as unclustered comments.
+// - Shifts compare each pair of consecutive years: the share of comments in
+//   each theme, and the mean sentiment.
+
+const NEGATION_WINDOW = 3;
+const SHIFT_THRESHOLD = 0.1; // change in a theme's share counted as a shift
+const LABEL_TERMS = 3;
+const CONJUNCTIONS = new Set(['and', 'or', 'but']);
+
+// --- Text ---
+
+function sentences(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .split(/[.,!?;:()\n]+/)
+    .map((sentence) => sentence.match(/[a-z][a-z'-]*[a-z]|[a-z]/g) || [])
+    .filter((words) => words.length > 0);
+}
+
+// Folds possessives and simple plurals, so "risks" and "risk's" count as "risk".
+function termKey(word) {
+  const base = word.replace(/'s$/, '').replace(/'/g, '');
+  if (base.length > 4 && base.endsWith('ies')) return `${base.slice(0, -3)}y`;
+  if (base.length > 3 && base.endsWith('s') && !/(ss|us|is)$/.test(base)) return base.slice(0, -1);
+  return base;
+}
+
+function isKeyword(word, lexicon) {
+  return word.length > 2 && !lexicon.stopwords.has(word) && !lexicon.negations.has(word) && !/n't$/.test(word);
+}
+
+function scoreSentiment(words, lexicon) {
+  let score = 0;
+  const scored = [];
+  words.forEach((word, i) => {
+    const value = lexicon.sentiment[word];
+    if (!value) return;
+    const window = words.slice(Math.max(0, i - NEGATION_WINDOW), i);
+    const negated = window.some((w) => lexicon.negations.has(w) || /n't$/.test(w));
+    score += negated ? -value : value;
+    scored.push(negated ? `not ${word}` : word);
+  });
+  return { score, scored };
+}
+
+// Tokens, keywords, phrases and sentiment of one comment.
+function analyseComment(text, lexicon) {
+  const keywords = [];
+  const phrases = new Set();
+  let score = 0;
+  const words = [];
+  for (const sentence of sentences(text)) {
+    const sentiment = scoreSentiment(sentence, lexicon);
+    score += sentiment.score;
+    words.push(...sentiment.scored);
+    for (const word of sentence) if (isKeyword(word, lexicon)) keywords.push(termKey(word));
+    for (let n = 2; n <= 3; n++) {
+      for (let i = 0; i + n <= sentence.length; i++) {
+        const gram = sentence.slice(i, i + n);
+        const ends = isKeyword(gram[0], lexicon) && isKeyword(gram[n - 1], lexicon);
+        if (ends && !gram.some((word) => CONJUNCTIONS.has(word))) phrases.add(gram.join(' '));
+      }
+    }
+  }
+  return {
+    keywords,
+    phrases: [...phrases],
+    sentiment: { score, label: score > 0 ? 'positive' : score < 0 ? 'negative' : 'neutral', words },
+  };
+}
+
+// --- Summaries ---
+
+function summariseSentiment(comments) {
+  const count = (label) => comments.filter((c) => c.sentiment.label === label).length;
+  return {
+    comments: comments.length,
+    mean: round(mean(comments.map((c) => c.sentiment.score))),
+    positive: count('positive'),
+    neutral: count('neutral'),
+    negative: count('negative'),
+  };
+}
+
+// Terms ranked by the number of comments using them, ties alphabetically.
+function rankTerms(lists, limit, minCount = 1) {
+  const counts = new Map();
+  for (const list of lists) {
+    for (const term of new Set(list)) counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  return [...counts]
+    .filter(([, count]) => count >= minCount)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([term, comments]) => ({ term, comments }));
+}
+
+// Phrases in at least two comments, dropping those inside a longer phrase
+// that is just as common.
+function rankPhrases(comments, limit) {
+  const ranked = rankTerms(
+    comments.map((c) => c.analysis.phrases),
+    Infinity,
+    2
+  );
+  return ranked
+    .filter(
+      (p) =>
+        !ranked.some((q) => q.comments === p.comments && q.term !== p.term && ` ${q.term} `.includes(` ${p.term} `))
+    )
+    .slice(0, limit)
+    .map(({ term, comments: count }) => ({ phrase: term, comments: count }));
+}
+
+function countBy(items, keyOf) {
+  const counts = {};
+  for (const item of items) {
+    const key = keyOf(item);
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+}
+
+// --- Themes ---
+
+function tfidfVectors(comments) {
+  const df = new Map();
+  for (const c of comments) {
+    for (const term of new Set(c.analysis.keywords)) df.set(term, (df.get(term) || 0) + 1);
+  }
+  return comments.map((c) => {
+    const vector = new Map();
+    for (const term of c.analysis.keywords) vector.set(term, (vector.get(term) || 0) + 1);
+    for (const [term, tf] of vector) {
+      vector.set(term, tf * (Math.log((1 + comments.length) / (1 + df.get(term))) + 1));
+    }
+    return vector;
+  });
+}
+
+function addInto(target, vector) {
+  for (const [term, weight] of vector) target.set(term, (target.get(term) || 0) + weight);
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  for (const [term, weight] of a) dot += weight * (b.get(term) || 0);
+  if (dot === 0) return 0;
+  const norm = (v) => Math.sqrt([...v.values()].reduce((sum, w) => sum + w * w, 0));
+  return dot / (norm(a) * norm(b));
+}
+
+function clusterComments(comments, similarity) {
+  const vectors = tfidfVectors(comments);
+  let clusters = [];
+  comments.forEach((comment, i) => {
+    if (vectors[i].size === 0) return;
+    let best = null;
+    for (const cluster of clusters) {
+      const score = cosine(vectors[i], cluster.centre);
+      if (score >= similarity && (!best || score > best.score)) best = { cluster, score };
+    }
+    if (best) {
+      best.cluster.members.push(i);
+      addInto(best.cluster.centre, vectors[i]);
+    } else {
+      clusters.push({ members: [i], centre: new Map(vectors[i]) });
+    }
+  });
+
+  // Merge themes that ended up close to each other.
+  for (let merged = true; merged; ) {
+    merged = false;
+    for (let a = 0; a < clusters.length && !merged; a++) {
+      for (let b = a + 1; b < clusters.length && !merged; b++) {
+        if (cosine(clusters[a].centre, clusters[b].centre) >= similarity) {
+          clusters[a].members.push(...clusters[b].members);
+          addInto(clusters[a].centre, clusters[b].centre);
+          clusters = clusters.filter((_, i) => i !== b);
+          merged = true;
+        }
+      }
+    }
+  }
+  return clusters.map((cluster) => ({ ...cluster, members: cluster.members.sort((p, q) => p - q) }));
+}
+
+// Most representative terms of a theme: the heaviest in its centre, preferring
+// terms shared by at least two of its comments.
+function themeKeywords(cluster, comments) {
+  const shared = new Set(
+    rankTerms(
+      cluster.members.map((i) => comments[i].analysis.keywords),
+      Infinity,
+      Math.min(2, cluster.members.length)
+    ).map((t) => t.term)
+  );
+  return [...cluster.centre]
+    .filter(([term]) => shared.has(term))
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([term]) => term);
+}
+
+// Comments are grouped on their question ID, or on number and text for
+// questions without one, so a question renumbered or reworded between years
+// stays one question.
+function questionKey(c) {
+  return c.question_id ? `id:${c.question_id}` : `text:${c.question_number}|${c.question_text}`;
+}
+
+function questionLabel(q) {
+  return q.question_number === null ? q.question_text : `Q${q.question_number}. ${q.question_text}`;
+}
+
+// The comment of the latest year for each question, whose number and text
+// label the question.
+function latestByQuestion(comments) {
+  const latest = new Map();
+  for (const c of comments) {
+    const current = latest.get(questionKey(c));
+    if (!current || String(c.year) > String(current.year)) latest.set(questionKey(c), c);
+  }
+  return latest;
+}
+
+function describeTheme(id, cluster, comments) {
+  const members = cluster.members.map((i) => comments[i]);
+  const keywords = themeKeywords(cluster, comments);
+  const phrases = rankPhrases(members, 3);
+  const latest = latestByQuestion(members);
+  return {
+    id,
+    label:
+      phrases.length > 0 && phrases[0].comments === members.length
+        ? phrases[0].phrase
+        : keywords.slice(0, LABEL_TERMS).join(', '),
+    keywords: keywords.slice(0, 8),
+    phrases,
+    size: members.length,
+    sentiment: summariseSentiment(members),
+    by_year: countBy(members, (c) => c.year),
+    by_report: countBy(members, (c) => c.report_name),
+    by_question: countBy(members, (c) => `${c.report_name} / ${questionLabel(latest.get(questionKey(c)))}`),
+    comments: members.map(toCommentRecord),
+  };
+}
+
+function toCommentRecord(c) {
+  return {
+    year: c.year,
+    report_name: c.report_name,
+    question_id: c.question_id,
+    question_number: c.question_number,
+    question_text: c.question_text,
+    sub_question_text: c.sub_question_text,
+    respondent: c.respondent,
+    position: c.position,
+    comment: c.comment,
+    sentiment: c.sentiment,
+    theme: c.theme,
+  };
+}
+
+// --- Breakdowns and shifts ---
+
+function themeCounts(comments, themes) {
+  return themes
+    .map((theme) => ({
+      id: theme.id,
+      label: theme.label,
+      comments: comments.filter((c) => c.theme === theme.id).length,
+    }))
+    .filter((t) => t.comments > 0);
+}
+
+function describeGroup(comments, themes, keywordLimit) {
+  return {
+    comments: comments.length,
+    sentiment: summariseSentiment(comments),
+    keywords: rankTerms(
+      comments.map((c) => c.analysis.keywords),
+      keywordLimit
+    ),
+    themes: themeCounts(comments, themes),
+  };
+}
+
+function breakdownByReport(comments, themes, keywordLimit) {
+  const reports = [...new Set(comments.map((c) => c.report_name))];
+  return reports.map((report_name) => {
+    const inReport = comments.filter((c) => c.report_name === report_name);
+    const latest = latestByQuestion(inReport);
+    return {
+      report_name,
+      ...describeGroup(inReport, themes, keywordLimit),
+      questions: [...latest].map(([key, c]) => {
+        const inQuestion = inReport.filter((comment) => questionKey(comment) === key);
+        return {
+          question_id: c.question_id,
+          question_number: c.question_number,
+          question_text: c.question_text,
+          ...describeGroup(inQuestion, themes, keywordLimit),
+        };
+      }),
+    };
+  });
+}
+
+function shiftStatus(fromCount, toCount, change) {
+  if (fromCount === 0) return 'new';
+  if (toCount === 0) return 'gone';
+  if (change >= SHIFT_THRESHOLD) return 'up';
+  if (change <= -SHIFT_THRESHOLD) return 'down';
+  return 'steady';
+}
+
+function computeShifts(comments, themes) {
+  const years = [...new Set(comments.map((c) => c.year))].sort();
+  const shifts = [];
+  for (let i = 1; i < years.length; i++) {
+    const [from, to] = [years[i - 1], years[i]];
+    const fromComments = comments.filter((c) => c.year === from);
+    const toComments = comments.filter((c) => c.year === to);
+    const fromSentiment = summariseSentiment(fromComments).mean;
+    const toSentiment = summariseSentiment(toComments).mean;
+    shifts.push({
+      from,
+      to,
+      comments: { from: fromComments.length, to: toComments.length },
+      sentiment: {
+        from: fromSentiment,
+        to: toSentiment,
+        change: fromSentiment === null || toSentiment === null ? null : round(toSentiment - fromSentiment),
+      },
+      themes: themes
+        .map((theme) => {
+          const fromCount = fromComments.filter((c) => c.theme === theme.id).length;
+          const toCount = toComments.filter((c) => c.theme === theme.id).length;
+          const fromShare = fromComments.length ? fromCount / fromComments.length : 0;
+          const toShare = toComments.length ? toCount / toComments.length : 0;
+          return {
+            id: theme.id,
+            label: theme.label,
+            from: { comments: fromCount, share: round(fromShare, 3) },
+            to: { comments: toCount, share: round(toShare, 3) },
+            change: round(toShare - fromShare, 3),
+            status: shiftStatus(fromCount, toCount, toShare - fromShare),
+          };
+        })
+        .filter((t) => t.from.comments > 0 || t.to.comments > 0),
+    });
+  }
+  return shifts;
+}
+
+// --- Analysis ---
+
+function analyseClient(client_name, rows, options) {
+  const { lexicon, similarity, minSize, keywords: keywordLimit } = options;
+  const comments = rows.map((row) => {
+    const analysis = analyseComment(row.comment, lexicon);
+    return { ...row, analysis, sentiment: analysis.sentiment, theme: null };
+  });
+
+  const clusters = clusterComments(comments, similarity)
+    .filter((cluster) => cluster.members.length >= minSize)
+    .sort((a, b) => b.members.length - a.members.length || a.members[0] - b.members[0]);
+  clusters.forEach((cluster, i) => {
+    for (const member of cluster.members) comments[member].theme = `T${i + 1}`;
+  });
+  const themes = clusters.map((cluster, i) => describeTheme(`T${i + 1}`, cluster, comments));
+
+  return {
+    client_name,
+    years: [...new Set(comments.map((c) => c.year))].sort(),
+    comments: comments.length,
+    sentiment: summariseSentiment(comments),
+    keywords: rankTerms(
+      comments.map((c) => c.analysis.keywords),
+      keywordLimit
+    ),
+    phrases: rankPhrases(comments, keywordLimit),
+    themes,
+    unclustered: comments.filter((c) => c.theme === null).map(toCommentRecord),
+    reports: breakdownByReport(comments, themes, keywordLimit),
+    shifts: computeShifts(comments, themes),
+  };
+}
+
+// Analyses the comments of `workbooks`, one result per client. `filters` are
+// the same as for exportRows (clients, years, reports) plus `questions`.
+function analyseThemes(workbooks, filters = {}, options = {}) {
+  const settings = {
+    lexicon: options.lexicon || loadLexicon(null),
+    similarity: options.similarity ?? 0.2,
+    minSize: options.minSize ?? 2,
+    keywords: options.keywords ?? 10,
+  };
+  const questions = (filters.questions || []).map(String);
+  const rows = exportRows(workbooks, filters).filter(
+    (row) =>
+      row.comment &&
+      String(row.comment).trim() !== '' &&
+      (questions.length === 0 || questions.includes(String(row.question_number)))
+  );
+  const clients = [...new Set(rows.map((row) => row.client_name))];
+  return clients.map((client) =>
+    analyseClient(
+      client,
+      rows.filter((row) => row.client_name === client),
+      settings
+    )
+  );
+}
+
+// --- Formatting ---
+
+function formatSentiment(s) {
+  if (s.comments === 0) return 'no comments';
+  const sign = s.mean > 0 ? '+' : '';
+  return `mean ${sign}${s.mean} (${s.positive} positive, ${s.neutral} neutral, ${s.negative} negative)`;
+}
+
+function formatTerms(terms) {
+  return terms.map((t) => `${t.term ?? t.phrase} (${t.comments})`).join(', ') || '-';
+}
+
+function formatCounts(counts, separator = ', ') {
+  return Object.entries(counts)
+    .map(([key, count]) => `${key}: ${count}`)
+    .join(separator);
+}
+
+function formatShare(share) {
+  return `${round(share * 100, 1)}%`;
+}
+
+function formatChange(change) {
+  const points = round(change * 100, 1);
+  return `${points > 0 ? '+' : ''}${points} pts`;
+}
+
+// Where a comment came from: "2024, Board Dynamics Q3, Jane Doe".
+function commentSource(c) {
+  return `${c.year}, ${c.report_name} Q${c.question_number ?? '-'}, ${c.respondent}`;
+}
+
+function formatShiftTheme(t) {
+  return `${formatShare(t.from.share)} → ${formatShare(t.to.share)} (${formatChange(t.change)}, ${t.status})`;
+}
+
+function formatText(results) {
+  const lines = [];
+  for (const result of results) {
+    lines.push(`${result.client_name} (${result.years.join(', ')}): ${result.comments} comment(s)`);
+    lines.push(`  Sentiment: ${formatSentiment(result.sentiment)}`);
+    lines.push(`  Keywords: ${formatTerms(result.keywords)}`);
+    lines.push(`  Phrases: ${formatTerms(result.phrases)}`);
+    lines.push('');
+    lines.push(`  Themes (${result.themes.length}, ${result.unclustered.length} comment(s) unclustered)`);
+    for (const theme of result.themes) {
+      lines.push(`  ${theme.id} ${theme.label}: ${theme.size} comment(s), ${formatSentiment(theme.sentiment)}`);
+      lines.push(`     keywords: ${theme.keywords.join(', ')}`);
+      lines.push(`     years: ${formatCounts(theme.by_year)}`);
+      for (const c of theme.comments) lines.push(`     - ${c.comment} (${commentSource(c)})`);
+    }
+    for (const report of result.reports) {
+      lines.push('');
+      lines.push(`  ${report.report_name}: ${report.comments} comment(s), ${formatSentiment(report.sentiment)}`);
+      for (const q of report.questions) {
+        const themes = q.themes.map((t) => `${t.id}:${t.comments}`).join(' ') || '-';
+        lines.push(`    ${questionLabel(q)}: ${q.comments} comment(s), themes ${themes}`);
+        lines.push(`      ${formatSentiment(q.sentiment)}; keywords ${formatTerms(q.keywords)}`);
+      }
+    }
+    for (const shift of result.shifts) {
+      lines.push('');
+      const { from, to, change } = shift.sentiment;
+      const difference = change === null ? '' : ` (${change > 0 ? '+' : ''}${change})`;
+      lines.push(`  ${shift.from} → ${shift.to}: sentiment ${from} → ${to}${difference}`);
+      for (const t of shift.themes) lines.push(`    ${t.id} ${t.label}: ${formatShiftTheme(t)}`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n').trimEnd();
+}
+
+function escapeMarkdown(text) {
+  return String(text ?? '')
+    .replace(/\|/g, '\\|')
+    .replace(/\s*\n\s*/g, ' ');
+}
+
+function markdownRow(cells) {
+  return `| ${cells.map(escapeMarkdown).join(' | ')} |`;
+}
+
+function markdownHeader(cells) {
+  return [markdownRow(cells), `|${' --- |'.repeat(cells.length)}`];
+}
+
+function formatMarkdown(results) {
+  const lines = [];
+  for (const result of results) {
+    lines.push(`# Comment themes: ${result.client_name}`, '');
+    const sentiment = formatSentiment(result.sentiment);
+    lines.push(`${result.comments} comment(s) from ${result.years.join(', ')}. Sentiment ${sentiment}.`, '');
+    lines.push(`**Keywords:** ${formatTerms(result.keywords)}`, '');
+    lines.push(`**Phrases:** ${formatTerms(result.phrases)}`, '');
+
+    lines.push('## Themes', '');
+    lines.push(...markdownHeader(['Theme', 'Label', 'Comments', 'Sentiment', 'Keywords', 'Years']));
+    for (const theme of result.themes) {
+      const { id, label, size, keywords } = theme;
+      lines.push(
+        markdownRow([id, label, size, theme.sentiment.mean, keywords.join(', '), formatCounts(theme.by_year)])
+      );
+    }
+    lines.push('');
+    for (const theme of result.themes) {
+      lines.push(`### ${theme.id}: ${theme.label}`, '');
+      for (const c of theme.comments) {
+        const words = c.sentiment.words.length > 0 ? `: ${c.sentiment.words.join(', ')}` : '';
+        lines.push(`- ${escapeMarkdown(c.comment)} (${commentSource(c)}; sentiment ${c.sentiment.score}${words})`);
+      }
+      lines.push('');
+    }
+    if (result.unclustered.length > 0) {
+      lines.push('### Unclustered comments', '');
+      for (const c of result.unclustered) lines.push(`- ${escapeMarkdown(c.comment)} (${commentSource(c)})`);
+      lines.push('');
+    }
+
+    lines.push('## By report and question', '');
+    lines.push(...markdownHeader(['Report', 'Question', 'Comments', 'Sentiment', 'Themes', 'Keywords']));
+    for (const report of result.reports) {
+      for (const q of report.questions) {
+        const themes = q.themes.map((t) => `${t.id} (${t.comments})`).join(', ');
+        const cells = [
+          report.report_name,
+          questionLabel(q),
+          q.comments,
+          q.sentiment.mean,
+          themes,
+          formatTerms(q.keywords),
+        ];
+        lines.push(markdownRow(cells));
+      }
+    }
+    lines.push('');
+
+    for (const shift of result.shifts) {
+      lines.push(`## ${shift.from} to ${shift.to}`, '');
+      const { from, to } = shift.sentiment;
+      lines.push(`Comments: ${shift.comments.from} → ${shift.comments.to}. Mean sentiment: ${from} → ${to}.`, '');
+      lines.push(...markdownHeader(['Theme', 'Label', 'Share before', 'Share after', 'Change', 'Shift']));
+      for (const t of shift.themes) {
+        const cells = [t.id, t.label, formatShare(t.from.share), formatShare(t.to.share), formatChange(t.change)];
+        lines.push(markdownRow([...cells, t.status]));
+      }
+      lines.push('');
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  analyseComment,
+  analyseThemes,
+  formatText,
+  formatMarkdown,
+};
@@ -0,0 +1,66 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { CliError, EXIT_CODES } = require('./cli');
+const { SpreadsheetSchema, getYear } = require('./spreadsheet-to-json');
+const { readProcessedReports } = require('./report-index');
+const { buildReportContext, loadHouseStyle, compileTemplate } = require('./report-template');
+
+// Runs `lintstock report`.
+// Example (every processed review): lintstock report
+// Example (one client's 2024 review): lintstock report --client "Acme plc" --years 2024
+// Example (own template and house style): lintstock report --template templates/board-pack.md.hbs --style-dir styles/acme-house
+
+const matchesAny = (values, value) =>
+  !values || values.length === 0 || values.some((v) => String(v).toLowerCase() === String(value).toLowerCase());
+
+function runReport(options, filePaths, ctx) {
+  if (!fs.existsSync(options.template)) {
+    throw new CliError(`Template not found: ${options.template}`, EXIT_CODES.USAGE);
+  }
+  if (options.top < 1 || options.comments < 0) {
+    throw new CliError('--top must be at least 1 and --comments at least 0.', EXIT_CODES.USAGE);
+  }
+
+  const workbooks = (
+    filePaths.length > 0
+      ? filePaths.map((filePath) => ({
+          ...JSON.parse(fs.readFileSync(filePath, 'utf8')),
+          source: path.basename(filePath),
+        }))
+      : readProcessedReports(options.indir)
+  ).filter((wb) => matchesAny(options.client, wb.client_name) && matchesAny(options.years, getYear(wb.created_date)));
+  if (workbooks.length === 0) {
+    ctx.warn('No processed reports found. Run `lintstock build reports` first, or check --client and --years.');
+    return [];
+  }
+
+  const partials = loadHouseStyle(options['style-dir']);
+  if (Object.keys(partials).length > 0) {
+    ctx.info(`Using house style from ${options['style-dir']}: ${Object.keys(partials).join(', ')}`);
+  }
+  let render;
+  try {
+    render = compileTemplate(fs.readFileSync(options.template, 'utf8'), partials);
+  } catch (err) {
+    throw new CliError(`Error in template ${options.template}: ${err.message}`);
+  }
+
+  fs.mkdirSync(options.outdir, { recursive: true });
+  const written = [];
+  for (const workbook of workbooks) {
+    let output;
+    try {
+      SpreadsheetSchema.parse(workbook);
+      output = render(buildReportContext(workbook, { top: options.top, comments: options.comments }));
+    } catch (err) {
+      throw new CliError(`Error rendering ${workbook.source} with ${options.template}: ${err.message}`);
+    }
+    const filePath = path.join(options.outdir, `${path.basename(workbook.source, '.json')}.md`);
+    fs.writeFileSync(filePath, output);
+    ctx.success(`Wrote ${filePath}`);
+    written.push({ source: workbook.source, file: filePath });
+  }
+  return written;
+}
+
+module.exports = { runReport };
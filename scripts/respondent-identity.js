@@ -0,0 +1,226 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+// Stable respondent identities within each client.
+//
+// The same person is often written differently from one workbook to the next
+// ("J. Smith", "John Smith", "Smith, John"). When reports are prepared, each
+// respondent name is resolved to a person, the name is replaced with that
+// person's canonical name, and the person's ID is written to the respondee as
+// `respondent_id`. IDs are numbered per client (r_1, r_2, ...) rather than
+// derived from the name, so they say nothing about who the person is.
+//
+// The alias file (data/respondent-aliases.json by default) is user-editable
+// and, as it holds real names, git-ignored:
+//
+// {
+//   "clients": {
+//     "Acme plc": {
+//       "people": { "r_1": { "name": "John Smith", "aliases": ["Smith, J."] } },
+//       "fuzzy_matches": { "J. Smith": { "id": "r_1" } },
+//       "distinct": ["Jane Smith"]
+//     }
+//   }
+// }
+//
+// Names are compared ignoring case, accents, punctuation and titles (Mr, Dr,
+// Sir...). A name that is not yet known is matched to an existing person with
+// the same surname and the same first name or initial, provided exactly one
+// person fits; the match is recorded in `fuzzy_matches`. Names in `distinct`
+// are never fuzzy matched. To confirm a fuzzy match, move the name into the
+// person's `aliases`; to override one, add the name to another person's
+// `aliases` or to `distinct`. Change a person's `name` to choose the name used
+// in the processed reports.
+
+const DEFAULT_RESPONDENT_ALIAS_FILE = 'data/respondent-aliases.json';
+
+const TITLES = new Set([
+  'mr',
+  'mrs',
+  'ms',
+  'miss',
+  'mx',
+  'dr',
+  'prof',
+  'professor',
+  'sir',
+  'dame',
+  'lord',
+  'lady',
+  'rev',
+  'hon',
+  'cbe',
+  'obe',
+  'mbe',
+  'kbe',
+  'dbe',
+]);
+
+function nameTokens(name) {
+  let text = String(name).trim();
+  // "Smith, John" -> "John Smith"
+  const comma = /^([^,]+),\s*([^,]+)$/.exec(text);
+  if (comma) text = `${comma[2]} ${comma[1]}`;
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token && !TITLES.has(token));
+}
+
+function normaliseName(name) {
+  return nameTokens(name).join(' ');
+}
+
+// Same surname, and the same first name or one is the other's initial.
+// Middle names are ignored.
+function namesCompatible(a, b) {
+  const tokensA = nameTokens(a);
+  const tokensB = nameTokens(b);
+  if (tokensA.length < 2 || tokensB.length < 2) return false;
+  if (tokensA.at(-1) !== tokensB.at(-1)) return false;
+  const [firstA, firstB] = [tokensA[0], tokensB[0]];
+  if (firstA === firstB) return true;
+  return (firstA.length === 1 || firstB.length === 1) && firstA[0] === firstB[0];
+}
+
+function emptyClientAliases() {
+  return { people: {}, fuzzy_matches: {}, distinct: [] };
+}
+
+function loadRespondentAliases(filePath = DEFAULT_RESPONDENT_ALIAS_FILE) {
+  if (!fs.existsSync(filePath)) return { clients: {} };
+  const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return { clients: {}, ...json };
+}
+
+function saveRespondentAliases(aliases, filePath = DEFAULT_RESPONDENT_ALIAS_FILE) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(aliases, null, 2));
+}
+
+class RespondentRegistry {
+  constructor(aliases = { clients: {} }) {
+    this.aliases = aliases;
+    this.changed = false;
+    this.indexes = new Map();
+  }
+
+  // The alias entry for a client, matched ignoring case; created if missing.
+  client(clientName) {
+    const key =
+      Object.keys(this.aliases.clients).find((name) => name.toLowerCase() === String(clientName).toLowerCase()) ??
+      String(clientName);
+    if (!this.aliases.clients[key]) {
+      this.aliases.clients[key] = emptyClientAliases();
+      this.changed = true;
+    }
+    const entry = this.aliases.clients[key];
+    for (const [field, value] of Object.entries(emptyClientAliases())) entry[field] ??= value;
+    if (!this.indexes.has(entry)) this.indexes.set(entry, this.index(entry));
+    return entry;
+  }
+
+  index(entry) {
+    const byName = new Map();
+    for (const [id, person] of Object.entries(entry.people)) {
+      for (const name of [person.name, ...(person.aliases || [])]) {
+        byName.set(normaliseName(name), id);
+      }
+    }
+    return { byName, distinct: new Set(entry.distinct.map(normaliseName)) };
+  }
+
+  // A person fits when the name is compatible with every name already known
+  // for them, so "Jane Smith" never joins a "J. Smith" who is also "John Smith".
+  findCompatible(entry, name) {
+    const knownNames = (id, person) => [
+      person.name,
+      ...(person.aliases || []),
+      ...Object.keys(entry.fuzzy_matches).filter((variant) => entry.fuzzy_matches[variant].id === id),
+    ];
+    const ids = Object.entries(entry.people)
+      .filter(([id, person]) => knownNames(id, person).every((known) => namesCompatible(name, known)))
+      .map(([id]) => id);
+    return ids.length === 1 ? ids[0] : null;
+  }
+
+  addPerson(entry, name) {
+    let n = Object.keys(entry.people).length + 1;
+    while (entry.people[`r_${n}`]) n++;
+    const id = `r_${n}`;
+    entry.people[id] = { name, aliases: [] };
+    this.indexes.get(entry).byName.set(normaliseName(name), id);
+    this.changed = true;
+    return id;
+  }
+
+  // Returns the ID of the person a client's respondent name refers to,
+  // registering a new person if nobody matches.
+  resolve(clientName, name) {
+    const entry = this.client(clientName);
+    const { byName, distinct } = this.indexes.get(entry);
+    const norm = normaliseName(name);
+    if (byName.has(norm)) return byName.get(norm);
+    const recorded = entry.fuzzy_matches[name];
+    if (recorded && entry.people[recorded.id]) return recorded.id;
+    if (!distinct.has(norm)) {
+      const id = this.findCompatible(entry, name);
+      if (id) {
+        entry.fuzzy_matches[name] = { id };
+        this.changed = true;
+        return id;
+      }
+    }
+    return this.addPerson(entry, String(name).trim());
+  }
+
+  // Replaces respondent names in a parsed workbook with each person's
+  // canonical name and writes `respondent_id` into every respondee. Two names
+  // for the same person in one workbook become a single respondee. Returns a
+  // Map of each name as written in the workbook to the name it became.
+  assignIds(spreadsheet) {
+    const entry = this.client(spreadsheet.client_name);
+    const canonical = new Map();
+    const respondees = new Map();
+    for (const respondee of spreadsheet.respondees) {
+      const id = this.resolve(spreadsheet.client_name, respondee.name);
+      const name = entry.people[id].name;
+      canonical.set(respondee.name, name);
+      const existing = respondees.get(id);
+      if (!existing) {
+        respondees.set(id, { ...respondee, name, respondent_id: id });
+      } else if (!existing.position && respondee.position) {
+        existing.position = respondee.position;
+      }
+    }
+    spreadsheet.respondees = Array.from(respondees.values());
+    for (const report of spreadsheet.reports) {
+      for (const question of report.questions) {
+        for (const response of question.responses) {
+          if (canonical.has(response.respondent)) response.respondent = canonical.get(response.respondent);
+        }
+      }
+    }
+    return canonical;
+  }
+
+  // Number of names matched by similarity and not yet confirmed.
+  get fuzzyCount() {
+    return Object.values(this.aliases.clients).reduce(
+      (total, entry) => total + Object.keys(entry.fuzzy_matches || {}).length,
+      0
+    );
+  }
+}
+
+module.exports = {
+  DEFAULT_RESPONDENT_ALIAS_FILE,
+  normaliseName,
+  namesCompatible,
+  loadRespondentAliases,
+  saveRespondentAliases,
+  RespondentRegistry,
+};
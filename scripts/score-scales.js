@@ -0,0 +1,251 @@
+// Response scales: turning the values in a question's Response column into
+// scores, working out the scale the question was asked on, and normalising
+// each score to 0-1 so that questions asked on different scales can be
+// compared.
+//
+// Label sets map answer labels to scores. The built-in sets below can be
+// replaced or added to in the `scores` section of lintstock.config.json, for
+// all clients or for one client only:
+//
+// {
+//   "scores": {
+//     "labels": { "effectiveness": { "Not effective": 1, "Partly effective": 2, "Largely effective": 3, "Fully effective": 4 } },
+//     "scale": "1-7",
+//     "clients": { "Acme plc": { "labels": {}, "scale": "1-10" } }
+//   }
+// }
+//
+// A set's scale runs from its lowest to its highest score. `scale` fixes the
+// range of numeric questions; without it the range is detected from the
+// answers as the smallest of 1-5, 1-7 and 1-10 (0-10 when a 0 is given, or
+// 0-100) that holds every answer. The questions of one sheet are taken to
+// share a scale, so the range is detected from all the sheet's numeric answers
+// together (see detectSheetRange). Labels are matched ignoring case, spacing
+// and trailing punctuation.
+//
+// Each question is given a `scale`:
+// - { type: 'numeric', min, max, label_set? } for rated questions,
+// - { type: 'yes_no', min: 0, max: 1 } when every answer is yes or no,
+// - { type: 'multi_select' } when answers are lists of options ("Strategy; Risk"),
+//   which are split into `selections` on each response and not scored.
+
+const BUILT_IN_LABELS = {
+  agreement: {
+    'Strongly disagree': 1,
+    Disagree: 2,
+    'Neither agree nor disagree': 3,
+    Neutral: 3,
+    Agree: 4,
+    'Strongly agree': 5,
+  },
+  effectiveness: {
+    'Very ineffective': 1,
+    Ineffective: 2,
+    'Neither effective nor ineffective': 3,
+    Effective: 4,
+    'Very effective': 5,
+  },
+  quality: {
+    Poor: 1,
+    Fair: 2,
+    Good: 3,
+    'Very good': 4,
+    Excellent: 5,
+  },
+  yes_no: {
+    Yes: 1,
+    No: 0,
+  },
+};
+
+const DETECTED_RANGES = [
+  [1, 5],
+  [1, 7],
+  [1, 10],
+  [0, 10],
+  [0, 100],
+];
+
+const SELECTION_SEPARATOR = /\s*[;|\n]\s*|\s*,\s*/;
+const MAX_OPTION_WORDS = 6;
+
+function labelKey(label) {
+  return String(label)
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[.!]+$/, '');
+}
+
+// Parses "1-7" (or "0 to 10") into [min, max].
+function parseRange(text) {
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(-?\d+(?:\.\d+)?)\s*$/i.exec(String(text));
+  if (!match || Number(match[1]) >= Number(match[2])) {
+    throw new Error(`Score scale "${text}" must look like "1-5"`);
+  }
+  return [Number(match[1]), Number(match[2])];
+}
+
+function findClientSection(scoreConfig, clientName) {
+  if (!clientName || !scoreConfig.clients) return {};
+  const key = Object.keys(scoreConfig.clients).find((name) => name.toLowerCase() === String(clientName).toLowerCase());
+  return key ? scoreConfig.clients[key] : {};
+}
+
+// Builds the label sets and fixed range for one client from the `scores`
+// section of lintstock.config.json. Client entries take priority over the
+// project entries, which take priority over the built-in label sets.
+function createScoreOptions(scoreConfig = {}, clientName = null) {
+  const clientSection = findClientSection(scoreConfig, clientName);
+  const sets = { ...BUILT_IN_LABELS, ...scoreConfig.labels, ...clientSection.labels };
+  const labels = new Map();
+  const ranges = {};
+  for (const [name, set] of Object.entries(sets)) {
+    const scores = Object.values(set);
+    if (scores.length === 0) continue;
+    for (const [label, score] of Object.entries(set)) {
+      if (typeof score !== 'number') {
+        throw new Error(`The score for "${label}" in label set "${name}" must be a number`);
+      }
+      if (!labels.has(labelKey(label))) labels.set(labelKey(label), []);
+      labels.get(labelKey(label)).push({ set: name, score });
+    }
+    ranges[name] = [Math.min(...scores), Math.max(...scores)];
+  }
+  const scale = clientSection.scale ?? scoreConfig.scale;
+  return { labels, ranges, range: scale ? parseRange(scale) : null };
+}
+
+// Reads a cell from the Response column: a number (decimals kept), text, or
+// undefined when the cell is empty.
+function readResponseValue(value) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === 'object') {
+    if ('result' in value) return readResponseValue(value.result);
+    if (Array.isArray(value.richText)) return readResponseValue(value.richText.map((part) => part.text).join(''));
+  }
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  const text = String(value).trim();
+  if (text === '') return undefined;
+  return Number.isNaN(Number(text)) ? text : Number(text);
+}
+
+function splitSelections(text) {
+  return text
+    .split(SELECTION_SEPARATOR)
+    .map((option) => option.trim())
+    .filter(Boolean);
+}
+
+// Answers read as multi-select when they are short option lists, at least
+// one answer picks several options, and options recur between answers.
+function isMultiSelect(texts) {
+  if (texts.length < 2) return false;
+  const lists = texts.map(splitSelections);
+  const options = lists.flat();
+  if (options.some((option) => option.split(/\s+/).length > MAX_OPTION_WORDS)) return false;
+  return lists.some((list) => list.length > 1) && new Set(options.map(labelKey)).size < options.length;
+}
+
+function detectRange(scores) {
+  const low = Math.min(...scores);
+  const high = Math.max(...scores);
+  return DETECTED_RANGES.find(([min, max]) => low >= min && high <= max) ?? null;
+}
+
+// The range of the numeric questions of one sheet, detected from all their
+// answers, so a 1-7 question nobody scored above 5 on is still read as 1-7
+// when another question in the sheet has a 6 or 7. Null when the sheet has no
+// numeric answers or they fit no known range.
+function detectSheetRange(questions) {
+  const scores = questions.flatMap((q) => q.responses.map((r) => r.score)).filter((s) => typeof s === 'number');
+  return scores.length > 0 ? detectRange(scores) : null;
+}
+
+function roundScore(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// Scores the responses of a question and records its scale. `questions` are
+// the question objects sharing a number and text (one per sub-question), so
+// every sub-question of a grid gets the same scale. Returns issues as
+// { code, message, response }.
+function applyScale(questions, options) {
+  const responses = questions.flatMap((q) => q.responses);
+  const texts = responses.filter((r) => r.response !== undefined && r.score === undefined);
+  const issues = [];
+
+  // Label set with the most matching answers wins.
+  const counts = new Map();
+  for (const r of texts) {
+    for (const { set } of options.labels.get(labelKey(r.response)) ?? []) counts.set(set, (counts.get(set) || 0) + 1);
+  }
+  const labelSet = [...counts].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+  const unlabelled = texts.filter(
+    (r) => !(options.labels.get(labelKey(r.response)) ?? []).some((entry) => entry.set === labelSet)
+  );
+
+  if (texts.length > 0 && unlabelled.length === texts.length && responses.every((r) => r.score === undefined)) {
+    if (isMultiSelect(texts.map((r) => r.response))) {
+      for (const r of texts) r.selections = splitSelections(r.response);
+      for (const q of questions) q.scale = { type: 'multi_select' };
+    }
+    return issues;
+  }
+
+  for (const r of texts) {
+    const entry = (options.labels.get(labelKey(r.response)) ?? []).find((e) => e.set === labelSet);
+    if (entry) r.score = entry.score;
+  }
+  for (const r of unlabelled) {
+    issues.push({
+      code: 'non_numeric_score',
+      message: `Score "${r.response}" is not a number or a known label and was kept as a text response`,
+      response: r,
+    });
+  }
+
+  const scores = responses.filter((r) => r.score !== undefined).map((r) => r.score);
+  if (scores.length === 0) return issues;
+  const yesNo = labelSet === 'yes_no' && unlabelled.length === 0;
+  const range = labelSet ? options.ranges[labelSet] : (options.range ?? detectRange(scores));
+  if (!range) {
+    issues.push({
+      code: 'unknown_scale',
+      message: `Scores from ${Math.min(...scores)} to ${Math.max(...scores)} do not fit a known scale and were not normalised`,
+      response: responses.find((r) => r.score !== undefined),
+    });
+    return issues;
+  }
+
+  const [min, max] = range;
+  const scale = yesNo ? { type: 'yes_no', min, max } : { type: 'numeric', min, max };
+  if (labelSet && !yesNo) scale.label_set = labelSet;
+  for (const q of questions) q.scale = scale;
+  for (const r of responses) {
+    if (r.score === undefined) continue;
+    if (r.score < min || r.score > max) {
+      issues.push({
+        code: 'score_out_of_range',
+        message: `Score ${r.score} is outside the ${min}-${max} scale and was not normalised`,
+        response: r,
+      });
+    } else {
+      r.normalised_score = roundScore((r.score - min) / (max - min));
+    }
+  }
+  return issues;
+}
+
+module.exports = {
+  BUILT_IN_LABELS,
+  labelKey,
+  parseRange,
+  createScoreOptions,
+  readResponseValue,
+  splitSelections,
+  isMultiSelect,
+  detectRange,
+  detectSheetRange,
+  applyScale,
+};
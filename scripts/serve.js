@@ -2,93 +2,57 @@ const express = require("express");
 const path = require("node:path");
 const livereload = require("livereload");
 const connectLiveReload = require("connect-livereload");
-const fs = require("node:fs");
-const { marked } = require("marked");
 const chokidar = require("chokidar");
+const { createApiRouter } = require("./api");
+const { createDashboardRouter } = require("./dashboard");
+const { createFileBrowser } = require("./file-browser");
+
+// Runs `lintstock serve`. Resolves once the server is listening; the process
+// then keeps running until it is stopped. The directories are relative to the
+// current directory.
+function startServer(options, ctx) {
+	const app = express();
+	const { port, host } = options;
+	const outputDir = path.resolve(options["output-dir"]);
+	const reportsDir = path.resolve(options["reports-dir"]);
+
+	// Setup live reload
+	const liveReloadServer = livereload.createServer();
+	liveReloadServer.server.once("connection", () => {
+		setTimeout(() => {
+			liveReloadServer.refresh("/");
+		}, 100);
+	});
 
-const app = express();
-const port = 3000;
-const outputDir = path.join(__dirname, "..", "output");
+	// Watch for changes in the output directory, and in the reports the
+	// dashboard shows
+	const watcher = chokidar.watch([outputDir, reportsDir]);
+	watcher.on("all", (event, path) => {
+		liveReloadServer.refresh("/");
+	});
 
-// Setup live reload
-const liveReloadServer = livereload.createServer();
-liveReloadServer.server.once("connection", () => {
-  setTimeout(() => {
-    liveReloadServer.refresh("/");
-  }, 100);
-});
+	app.use(connectLiveReload());
 
-// Watch for changes in the output directory
-const watcher = chokidar.watch(outputDir);
-watcher.on("all", (event, path) => {
-  liveReloadServer.refresh("/");
-});
+	// Dashboard and read-only JSON API for the processed reports
+	app.use("/dashboard", createDashboardRouter(reportsDir));
+	app.use("/api", createApiRouter(reportsDir));
 
-app.use(connectLiveReload());
+	// Browsable, Markdown-rendering view of the output directory
+	app.use(createFileBrowser(outputDir));
 
-// Middleware to render Markdown files
-app.use((req, res, next) => {
-	const filePath = path.join(outputDir, req.path);
-	if (filePath.endsWith(".md") && fs.existsSync(filePath)) {
-		fs.readFile(filePath, "utf8", (err, data) => {
-			if (err) {
-				return next(err);
+	return new Promise((resolve) => {
+		// Only this machine can connect unless --host says otherwise, as the
+		// API serves every response with names and comments.
+		app.listen(port, host, () => {
+			const url = `http://${host === "127.0.0.1" ? "localhost" : host}:${port}`;
+			ctx.success(`Serving files from "${outputDir}" on ${url}`);
+			if (host !== "127.0.0.1" && host !== "localhost") {
+				ctx.warn("The server can be reached from other computers on the network and has no password.");
 			}
-			const html = marked(data);
-			res.send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <title>${path.basename(req.path)}</title>
-          <style>
-            body { font-family: sans-serif; line-height: 1.6; padding: 2em; }
-          </style>
-        </head>
-        <body>
-          ${html}
-        </body>
-        </html>
-      `);
+			resolve({ url, output_dir: outputDir });
 		});
-	} else {
-		next();
-	}
-});
-
-// Serve static files from the output directory
-app.use(express.static(outputDir));
-
-// Directory listing for the root
-app.get("/", (req, res) => {
-	fs.readdir(outputDir, (err, files) => {
-		if (err) {
-			res.status(500).send("Error reading output directory");
-			return;
-		}
-		const fileList = files
-			.filter((file) => file !== "GEMINI.md")
-			.map((file) => `<li><a href="/${file}">${file}</a></li>`)
-			.join("");
-		res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Output Directory</title>
-        <style>
-          body { font-family: sans-serif; line-height: 1.6; padding: 2em; }
-          ul { list-style-type: none; padding: 0; }
-          li { margin: 0.5em 0; }
-        </style>
-      </head>
-      <body>
-        <h1>Files in output/</h1>
-        <ul>${fileList}</ul>
-      </body>
-      </html>
-    `);
 	});
-});
+}
+
+module.exports = { startServer };
 
-app.listen(port, () => {
-	console.log(`Serving files from "${outputDir}" on http://localhost:${port}`);
-});
@@ -1,26 +1,46 @@
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
 const ExcelJS = require('exceljs');
 const { z } = require('zod');
 const chalk = require('chalk');
+const { createScoreOptions, readResponseValue, detectSheetRange, applyScale } = require('./score-scales');
 
 // Zod schema for the spreadsheet JSON structure
 const SpreadsheetSchema = z.object({
   client_name: z.string(),
   created_date: z.string(),
+  // Set on reviews merged from several workbooks (see report-merge.js).
+  merged_from: z.array(z.string()).optional(),
   reports: z.array(
     z.object({
       report_name: z.string(),
+      sources: z.array(z.object({ file: z.string(), report_name: z.string() })).optional(),
       questions: z.array(
         z.object({
           question_number: z.number().nullable(),
           question_text: z.string(),
+          question_id: z.string().optional(),
+          question_tags: z.array(z.string()).optional(),
           sub_question_text: z.string().optional(),
+          scale: z
+            .object({
+              type: z.enum(['numeric', 'yes_no', 'multi_select']),
+              min: z.number().optional(),
+              max: z.number().optional(),
+              label_set: z.string().optional(),
+            })
+            .optional(),
           responses: z.array(
             z.object({
               respondent: z.string(),
               score: z.number().optional(),
+              normalised_score: z.number().min(0).max(1).optional(),
               comment: z.string().optional(),
               skip_reason: z.string().optional(),
               response: z.string().optional(),
+              selections: z.array(z.string()).optional(),
             }),
           ),
         }),
@@ -31,6 +51,7 @@ const SpreadsheetSchema = z.object({
     z.object({
       name: z.string(),
       position: z.string().optional(),
+      respondent_id: z.string().optional(),
     }),
   ),
 });
@@ -59,15 +80,81 @@ const RAW_HEADER_MAP = {
   Comment: 'comment',
   'Skip Reason': 'skip_reason',
 };
-const HEADER_MAP = Object.fromEntries(Object.entries(RAW_HEADER_MAP).map(([k, v]) => [normalizeHeader(k), v]));
 
-function mapHeader(header) {
-  const norm = normalizeHeader(header);
-  if (HEADER_MAP[norm]) return HEADER_MAP[norm];
-  for (const key in HEADER_MAP) {
-    if (norm.includes(key)) return HEADER_MAP[key];
+// Fields a data-sheet column can be mapped to.
+const HEADER_FIELDS = [
+  'question_number',
+  'question_text',
+  'sub_question_text',
+  'category',
+  'respondent',
+  'position',
+  'score',
+  'response',
+  'comment',
+  'skip_reason',
+];
+
+function buildHeaderMap(rawMap) {
+  return Object.fromEntries(Object.entries(rawMap).map(([k, v]) => [normalizeHeader(k), v]));
+}
+
+function findClientConfig(headerConfig, clientName) {
+  if (!clientName || !headerConfig.clients) return {};
+  const key = Object.keys(headerConfig.clients).find((name) => name.toLowerCase() === String(clientName).toLowerCase());
+  return key ? headerConfig.clients[key] : {};
+}
+
+// Builds a header mapper from the `headers` section of lintstock.config.json:
+//
+// { "map": { "Raw Header": "field" }, "ignore": ["Raw Header"], "clients": { "Acme plc": { "map": {}, "ignore": [] } } }
+//
+// Client entries take priority over the project entries, which take priority
+// over the built-in RAW_HEADER_MAP. An exact (normalised) match always wins; a
+// substring match is only used when every matching key maps to the same field,
+// so ambiguous headers such as "Response Comment" stay unmatched.
+function createHeaderMapper(headerConfig = {}, clientName = null) {
+  const clientConfig = findClientConfig(headerConfig, clientName);
+  const layers = [clientConfig, headerConfig, { map: RAW_HEADER_MAP }].map((layer) => ({
+    map: buildHeaderMap(layer.map || {}),
+    ignore: new Set((layer.ignore || []).map(normalizeHeader)),
+  }));
+
+  // Returns the mapped field, null when the header is ignored, or undefined.
+  function exactMatch(norm) {
+    for (const layer of layers) {
+      if (layer.map[norm]) return layer.map[norm];
+      if (layer.ignore.has(norm)) return null;
+    }
+    return undefined;
   }
-  return null;
+
+  function mapper(header) {
+    const norm = normalizeHeader(header);
+    const exact = exactMatch(norm);
+    if (exact !== undefined) return exact;
+    const fields = new Set();
+    for (const layer of layers) {
+      for (const key in layer.map) {
+        if (norm.includes(key)) fields.add(layer.map[key]);
+      }
+    }
+    return fields.size === 1 ? Array.from(fields)[0] : null;
+  }
+  mapper.isIgnored = (header) => exactMatch(normalizeHeader(header)) === null;
+  return mapper;
+}
+
+const defaultHeaderMapper = createHeaderMapper();
+
+function mapHeader(header) {
+  return defaultHeaderMapper(header);
+}
+
+const QUESTION_TAG_PATTERN = /\[([a-zA-Z0-9_]+)\]/g;
+
+function extractQuestionTags(text) {
+  return Array.from(String(text).matchAll(QUESTION_TAG_PATTERN), (m) => m[1]);
 }
 
 function formatDateToYMD(dateStr) {
@@ -77,15 +164,211 @@ function formatDateToYMD(dateStr) {
   return d.toISOString().slice(0, 10);
 }
 
-async function getUnmatchedHeaders(fileContent) {
+// --- Validation ---
+// Problems found while parsing are collected as issues:
+// { level: 'error' | 'warning', code, message, sheet, row }
+// Errors stop the workbook being processed and are thrown as a
+// SpreadsheetValidationError; warnings are returned on the parsed result.
+
+class SpreadsheetValidationError extends Error {
+  constructor(message, issues) {
+    super(message);
+    this.name = 'SpreadsheetValidationError';
+    this.issues = issues;
+  }
+}
+
+function createIssue(level, code, message, sheet = null, row = null) {
+  return { level, code, message, sheet, row };
+}
+
+// Resolves a Zod issue path to the sheet and row the offending value came from.
+function locateSchemaIssue(spreadsheetJson, issuePath, sheetOf, rowOf) {
+  let target = spreadsheetJson;
+  let sheet = null;
+  let row = null;
+  for (const key of issuePath) {
+    if (target === null || typeof target !== 'object') break;
+    target = target[key];
+    if (target && typeof target === 'object') {
+      if (sheetOf.has(target)) sheet = sheetOf.get(target);
+      if (rowOf.has(target)) row = rowOf.get(target);
+    }
+  }
+  return { sheet, row };
+}
+
+// --- Input formats ---
+// Every supported format is turned into an ExcelJS workbook with a details
+// sheet first and one data sheet per report, so all formats share the same
+// header mapping and validation.
+
+const DETAILS_FIELDS = { client_name: 'Client Name', created_date: 'Created', report_name: 'Report Name' };
+const XLSX_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const OLE2_MAGIC = Buffer.from([0xd0, 0xcf, 0x11, 0xe0]);
+const SOFFICE_TIMEOUT_MS = 120000;
+
+function detectFormat(fileContent, fileName = '') {
+  const head = fileContent.subarray(0, 4);
+  if (head.equals(XLSX_MAGIC)) return 'xlsx';
+  if (head.equals(OLE2_MAGIC)) return 'xls';
+  const ext = path.extname(fileName).toLowerCase();
+  // Many survey platforms export tab-separated text with an .xls extension.
+  if (ext === '.xls' || ext === '.tsv') return 'tsv';
+  return 'csv';
+}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes and embedded newlines.
+function parseDelimited(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+}
+
+const DATA_FIELDS = ['question_text', 'question_number', 'respondent', 'score', 'comment'];
+
+// The header row is the first row with at least two recognised data columns.
+// Any rows above it are read as `field, value` metadata rows.
+function findHeaderRow(rows, mapper = mapHeader) {
+  return rows.findIndex((r) => r.filter((cell) => DATA_FIELDS.includes(mapper(cell))).length >= 2);
+}
+
+function readDetails(entries, mapper = mapHeader) {
+  const details = {};
+  for (const [field, value] of entries) {
+    const key = normalizeHeader(field) === 'reportname' ? 'report_name' : mapper(field);
+    if (DETAILS_FIELDS[key] && value !== undefined && value !== null && value !== '') details[key] = value;
+  }
+  return details;
+}
+
+function sanitiseSheetName(name) {
+  return String(name).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31).trim() || 'Report';
+}
+
+function buildWorkbookFromRows(rows, { details = {}, reportName = 'Report', headerConfig = {} } = {}) {
+  const headerIndex = findHeaderRow(rows, createHeaderMapper(headerConfig));
+  if (headerIndex === -1) {
+    const message = 'Could not find a header row with question, respondent or response columns';
+    throw new SpreadsheetValidationError(message, [createIssue('error', 'missing_header_row', message)]);
+  }
+  // Sidecar details come last so they win over the leading rows. The client
+  // name is read with the project headers first, as it picks the client's.
+  const entries = [...rows.slice(0, headerIndex).map((r) => [r[0], r[1]]), ...Object.entries(details)];
+  const { client_name } = readDetails(entries, createHeaderMapper(headerConfig));
+  const merged = readDetails(entries, createHeaderMapper(headerConfig, client_name));
+  if (!merged.client_name || !merged.created_date) {
+    const message =
+      'Could not find Client Name and Created details: add them as leading rows or in a <name>.details.json sidecar file';
+    throw new SpreadsheetValidationError(message, [createIssue('error', 'missing_details', message)]);
+  }
+
   const workbook = new ExcelJS.Workbook();
-  await workbook.xlsx.load(fileContent);
+  const detailsSheet = workbook.addWorksheet('Details');
+  for (const [key, label] of Object.entries(DETAILS_FIELDS)) {
+    if (merged[key]) detailsSheet.addRow([label, merged[key]]);
+  }
+  const dataSheet = workbook.addWorksheet(sanitiseSheetName(merged.report_name || reportName));
+  for (const row of rows.slice(headerIndex)) {
+    dataSheet.addRow(row);
+  }
+  return workbook;
+}
+
+// Converts a legacy binary .xls file with LibreOffice, which must be installed.
+function convertXlsToXlsx(fileContent) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lintstock-xls-'));
+  try {
+    const input = path.join(tmpDir, 'input.xls');
+    fs.writeFileSync(input, fileContent);
+    try {
+      execFileSync('soffice', ['--headless', '--convert-to', 'xlsx', '--outdir', tmpDir, input], {
+        stdio: 'ignore',
+        timeout: SOFFICE_TIMEOUT_MS,
+      });
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        throw new Error(
+          'Legacy .xls files need LibreOffice (soffice) to convert them. Install it, or re-save the file as .xlsx'
+        );
+      }
+      if (err.code === 'ETIMEDOUT' || err.signal) {
+        throw new Error(
+          `LibreOffice did not convert the .xls file within ${SOFFICE_TIMEOUT_MS / 1000} seconds. Close any open LibreOffice windows and try again, or re-save the file as .xlsx`
+        );
+      }
+      throw new Error(`LibreOffice could not convert the .xls file (${err.message}). Re-save it as .xlsx`);
+    }
+    return fs.readFileSync(path.join(tmpDir, 'input.xlsx'));
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+// Options:
+// - format: 'xlsx' | 'xls' | 'csv' | 'tsv' (detected from the content when omitted)
+// - details: details fields for formats without a details sheet, e.g. { 'Client Name': 'Acme', Created: '2024-01-31' }
+// - reportName: report name for single-sheet formats (defaults to 'Report')
+// - headerConfig: the `headers` section of lintstock.config.json (see createHeaderMapper)
+async function loadWorkbook(fileContent, options = {}) {
+  const format = options.format || detectFormat(fileContent, options.fileName);
+  if (format === 'csv' || format === 'tsv') {
+    const rows = parseDelimited(fileContent.toString('utf8'), format === 'tsv' ? '\t' : ',');
+    return buildWorkbookFromRows(rows, options);
+  }
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(format === 'xls' ? convertXlsToXlsx(fileContent) : fileContent);
+  return workbook;
+}
+
+function readClientName(workbook) {
+  let client_name = '';
+  workbook.worksheets[0]?.eachRow((row) => {
+    if (row.getCell(1).value === 'Client Name') client_name = row.getCell(2).value;
+  });
+  return client_name;
+}
+
+function collectUnmatchedHeaders(workbook, mapper = mapHeader) {
   const unmatched = new Set();
   workbook.worksheets.forEach((sheet, index) => {
     if (index === 0) return; // Skip details sheet
     const headers = sheet.getRow(1).values;
     headers.forEach((h) => {
-      if (h && !mapHeader(h)) {
+      if (h && !mapper(h) && !mapper.isIgnored?.(h)) {
         unmatched.add(h);
       }
     });
@@ -93,12 +376,33 @@ async function getUnmatchedHeaders(fileContent) {
   return Array.from(unmatched);
 }
 
-async function parseSpreadsheetBuffer(fileContent) {
-  const workbook = new ExcelJS.Workbook();
-  await workbook.xlsx.load(fileContent);
+async function getUnmatchedHeaders(fileContent, options = {}) {
+  const workbook = await loadWorkbook(fileContent, options);
+  return collectUnmatchedHeaders(workbook, createHeaderMapper(options.headerConfig, readClientName(workbook)));
+}
+
+// Returns the workbook's client name and its unmatched headers, for the
+// interactive header resolver.
+async function inspectHeaders(fileContent, options = {}) {
+  const workbook = await loadWorkbook(fileContent, options);
+  const client_name = readClientName(workbook);
+  return {
+    client_name,
+    unmatched: collectUnmatchedHeaders(workbook, createHeaderMapper(options.headerConfig, client_name)),
+  };
+}
+
+async function parseSpreadsheetBuffer(fileContent, options = {}) {
+  const workbook = await loadWorkbook(fileContent, options);
+  const issues = [];
+  const warn = (code, message, sheet, row) => issues.push(createIssue('warning', code, message, sheet, row));
+  const fail = (code, message, sheet, row) => {
+    issues.push(createIssue('error', code, message, sheet, row));
+    throw new SpreadsheetValidationError(message, issues);
+  };
 
   if (workbook.worksheets.length < 2) {
-    throw new Error('Excel file must contain at least a details sheet and one data sheet');
+    fail('missing_sheets', 'Excel file must contain at least a details sheet and one data sheet');
   }
 
   // --- 1. Extract main details from first sheet ---
@@ -113,12 +417,25 @@ async function parseSpreadsheetBuffer(fileContent) {
   });
 
   if (!client_name || !created_date) {
-    throw new Error('Could not extract client_name or created_date from details sheet');
+    const missing = [!client_name && 'Client Name', !created_date && 'Created'].filter(Boolean).join(' and ');
+    fail('missing_details', `Could not find ${missing} in details sheet`, detailsSheet.name);
   }
 
   // --- 2. Process each data sheet and build reports structure ---
+  const mapper = createHeaderMapper(options.headerConfig, client_name);
+  let scoreOptions;
+  try {
+    scoreOptions = createScoreOptions(options.scoreConfig, client_name);
+  } catch (err) {
+    fail('invalid_score_config', `Invalid "scores" configuration: ${err.message}`);
+  }
   const reportMap = new Map();
   const respondeeMap = new Map();
+  const positionConflicts = new Set();
+  // Sheet names of reports and row numbers of questions and responses, used
+  // to locate schema errors.
+  const sheetOf = new WeakMap();
+  const rowOf = new WeakMap();
 
   for (let i = 1; i < workbook.worksheets.length; i++) {
     const sheet = workbook.worksheets[i];
@@ -128,10 +445,16 @@ async function parseSpreadsheetBuffer(fileContent) {
       .trim();
 
     const headerRow = sheet.getRow(1).values;
-    const headers = headerRow.map((h) => (h ? mapHeader(h) || normalizeHeader(h) : null));
+    const headers = headerRow.map((h) => (h && !mapper.isIgnored(h) ? mapper(h) || normalizeHeader(h) : null));
+    for (const h of headerRow) {
+      if (h && !mapper(h) && !mapper.isIgnored(h)) {
+        warn('unmatched_header', `Column "${h}" was not mapped to a field`, sheet.name, 1);
+      }
+    }
 
     let lastQuestionNumber = null;
     let lastQuestionText = '';
+    let lastQuestionTags = [];
     let lastSubQuestionText = '';
     const questionMap = new Map();
 
@@ -141,6 +464,7 @@ async function parseSpreadsheetBuffer(fileContent) {
       const rowValues = row.values;
       let question_number = lastQuestionNumber;
       let question_text = lastQuestionText;
+      let question_tags = lastQuestionTags;
       let sub_question_text = lastSubQuestionText;
       let respondent = '';
       let position = '';
@@ -160,15 +484,17 @@ async function parseSpreadsheetBuffer(fileContent) {
           if (!Number.isNaN(parsed)) {
             foundQuestionNumber = parsed;
             explicitQuestionNumber = true;
+          } else {
+            warn('invalid_question_number', `Question number "${value}" is not a number and was ignored`, sheet.name, rowNumber);
           }
         }
         if (field === 'question_text' && value) {
-          const cleaned = String(value)
-            .replace(/\[[a-zA-Z0-9_]+\]/g, '')
-            .trim();
+          const cleaned = String(value).replace(QUESTION_TAG_PATTERN, '').trim();
           if (cleaned !== lastQuestionText) {
             question_text = cleaned;
             lastQuestionText = cleaned;
+            question_tags = extractQuestionTags(value);
+            lastQuestionTags = question_tags;
             const subIdx = headers.findIndex((h) => h === 'sub_question_text');
             if (subIdx !== -1 && rowValues[subIdx]) {
               sub_question_text = rowValues[subIdx];
@@ -184,16 +510,16 @@ async function parseSpreadsheetBuffer(fileContent) {
           sub_question_text = value;
           lastSubQuestionText = value;
         }
-        if (field === 'respondent') respondent = value || '';
-        if (field === 'position') position = value || '';
+        if (field === 'respondent') respondent = value ? String(value).trim().replace(/\s+/g, ' ') : '';
+        if (field === 'position') position = value ? String(value).trim() : '';
         if (field === 'score') {
-          if (value !== undefined && value !== null && value !== '') {
-            if (Number.isNaN(Number(value))) {
-              response = value;
-            } else {
-              score = Number.parseInt(value) || 0;
-              response = '';
-            }
+          // Labels such as "Agree" are scored once the question's scale is known.
+          const parsed = readResponseValue(value);
+          if (typeof parsed === 'number') {
+            score = parsed;
+            response = '';
+          } else if (parsed !== undefined) {
+            response = parsed;
           }
         }
         if (field === 'comment') comment = value || '';
@@ -211,9 +537,25 @@ async function parseSpreadsheetBuffer(fileContent) {
         question_number = lastQuestionNumber;
       }
 
+      const hasAnswer = score !== undefined || comment || skip_reason || response;
+      if (!(respondent && String(respondent).trim() !== '') && hasAnswer) {
+        warn('missing_respondent', 'Row has a response but no respondent and was dropped', sheet.name, rowNumber);
+      }
+
       if (respondent && String(respondent).trim() !== '') {
-        if (!respondeeMap.has(respondent)) {
+        const respondee = respondeeMap.get(respondent);
+        if (!respondee) {
           respondeeMap.set(respondent, { name: respondent, position });
+        } else if (!respondee.position) {
+          respondee.position = position;
+        } else if (position && position !== respondee.position && !positionConflicts.has(`${respondent}|${position}`)) {
+          positionConflicts.add(`${respondent}|${position}`);
+          warn(
+            'position_conflict',
+            `${respondent} is listed as both "${respondee.position}" and "${position}"; kept "${respondee.position}"`,
+            sheet.name,
+            rowNumber
+          );
         }
         const qKey = `${question_number}|${question_text}|${sub_question_text}`;
         if (!questionMap.has(qKey)) {
@@ -222,106 +564,238 @@ async function parseSpreadsheetBuffer(fileContent) {
             question_text: question_text || '',
             responses: [],
           };
+          if (question_tags.length > 0) {
+            questionObj.question_tags = question_tags;
+          }
           if (sub_question_text) {
             questionObj.sub_question_text = sub_question_text;
           }
           questionMap.set(qKey, questionObj);
+          rowOf.set(questionObj, rowNumber);
         }
-
         const responseObj = { respondent };
         if (score !== undefined && score !== null && score !== '') responseObj.score = score;
         if (comment) responseObj.comment = comment;
         if (skip_reason) responseObj.skip_reason = skip_reason;
         if (response) responseObj.response = response;
         questionMap.get(qKey).responses.push(responseObj);
+        rowOf.set(responseObj, rowNumber);
       }
     });
 
-    reportMap.set(report_name, {
+    // Scales are worked out per question, across all its sub-questions, with
+    // the range of numeric questions detected once for the sheet. Text that is
+    // not a known label is fine for free-text questions, but in a question
+    // that is otherwise scored it is probably a data-entry error.
+    const sheetRange = scoreOptions.range ? null : detectSheetRange([...questionMap.values()]);
+    if (sheetRange && sheetRange[1] < 10) {
+      warn(
+        'scale_guessed',
+        `Scores in this sheet were read as a ${sheetRange[0]}-${sheetRange[1]} scale because none is higher; ` +
+          'if the questionnaire used a larger scale, set "scale" in lintstock.config.json',
+        sheet.name,
+        null
+      );
+    }
+    const sheetScoreOptions = { ...scoreOptions, range: scoreOptions.range ?? sheetRange };
+    const scaleGroups = new Map();
+    for (const question of questionMap.values()) {
+      const key = `${question.question_number}|${question.question_text}`;
+      if (!scaleGroups.has(key)) scaleGroups.set(key, []);
+      scaleGroups.get(key).push(question);
+    }
+    for (const group of scaleGroups.values()) {
+      for (const issue of applyScale(group, sheetScoreOptions)) {
+        warn(issue.code, issue.message, sheet.name, rowOf.get(issue.response) ?? null);
+      }
+    }
+
+    const reportObj = {
       report_name,
       questions: Array.from(questionMap.values()),
-    });
+    };
+    reportMap.set(report_name, reportObj);
+    sheetOf.set(reportObj, sheet.name);
   }
 
   const reports = Array.from(reportMap.values());
   const respondees = Array.from(respondeeMap.values());
   const spreadsheetJson = { client_name, created_date, reports, respondees };
 
-  const unmatchedHeaders = await getUnmatchedHeaders(fileContent);
+  const unmatchedHeaders = collectUnmatchedHeaders(workbook, mapper);
   const result = { ...spreadsheetJson };
   if (unmatchedHeaders.length > 0) {
     result.unmatchedHeaders = unmatchedHeaders;
   }
 
-  SpreadsheetSchema.parse(spreadsheetJson);
+  const parsed = SpreadsheetSchema.safeParse(spreadsheetJson);
+  if (!parsed.success) {
+    for (const issue of parsed.error.issues) {
+      const { sheet, row } = locateSchemaIssue(spreadsheetJson, issue.path, sheetOf, rowOf);
+      issues.push(createIssue('error', 'schema', `${issue.path.join('.')}: ${issue.message}`, sheet, row));
+    }
+    throw new SpreadsheetValidationError('Parsed data does not match the spreadsheet schema', issues);
+  }
+  // Kept off the enumerable properties so it is never written to the output JSON.
+  Object.defineProperty(result, 'issues', { value: issues, enumerable: false });
   return result;
 }
 
+function getYear(created_date) {
+  return created_date ? String(created_date).slice(0, 4) : null;
+}
+
+// Details for CSV and text exports can come from a sidecar JSON file next to
+// the data file, e.g. `board-2024.csv` + `board-2024.details.json`.
+function sidecarPath(filePath) {
+  const base = path.join(path.dirname(filePath), path.basename(filePath, path.extname(filePath)));
+  return `${base}.details.json`;
+}
+
+function spreadsheetFileOptions(filePath, extraOptions = {}) {
+  const options = {
+    ...extraOptions,
+    fileName: filePath,
+    reportName: path.basename(filePath, path.extname(filePath)),
+  };
+  const sidecar = sidecarPath(filePath);
+  if (fs.existsSync(sidecar)) {
+    options.details = JSON.parse(fs.readFileSync(sidecar, 'utf8'));
+  }
+  return options;
+}
+
+// `extraOptions` are passed through to parseSpreadsheetBuffer, e.g. { headerConfig }.
+async function parseSpreadsheetFile(filePath, extraOptions = {}) {
+  return parseSpreadsheetBuffer(fs.readFileSync(filePath), spreadsheetFileOptions(filePath, extraOptions));
+}
+
+async function inspectSpreadsheetFile(filePath, extraOptions = {}) {
+  return inspectHeaders(fs.readFileSync(filePath), spreadsheetFileOptions(filePath, extraOptions));
+}
+
+// Spreadsheets may carry a `source` property (the processed file name) so the
+// summaries can point back to the file each entry came from. Respondents are
+// keyed on their `respondent_id` where the build assigned one (see
+// respondent-identity.js), so a person keeps one entry across name variants,
+// with their position in each review year.
 function compileCompaniesSummary(spreadsheets) {
   const companies = {};
   for (const sheet of spreadsheets) {
-    const { client_name, created_date, respondees } = sheet;
+    const { client_name, created_date, respondees, source } = sheet;
     if (!client_name) continue;
     if (!companies[client_name]) {
-      companies[client_name] = { name: client_name, respondents: new Set(), years: new Set() };
+      companies[client_name] = { name: client_name, respondents: new Map(), years: new Set(), sources: [] };
     }
+    const year = getYear(created_date);
     if (Array.isArray(respondees)) {
       for (const r of respondees) {
-        if (r && r.name) companies[client_name].respondents.add(r.name);
+        if (!r || !r.name) continue;
+        const key = r.respondent_id || r.name;
+        const respondents = companies[client_name].respondents;
+        if (!respondents.has(key)) {
+          respondents.set(key, { name: r.name, respondent_id: r.respondent_id, positions: {} });
+        }
+        if (year) respondents.get(key).positions[year] = r.position || null;
       }
     }
-    const year = created_date ? String(created_date).slice(0, 4) : null;
     if (year) companies[client_name].years.add(year);
+    if (source) companies[client_name].sources.push({ file: source, year, created_date });
   }
   return Object.values(companies).map((c) => ({
     name: c.name,
-    respondents: Array.from(c.respondents),
+    respondents: Array.from(c.respondents.values()),
     years: Array.from(c.years).sort(),
+    sources: c.sources.sort((a, b) => String(a.created_date).localeCompare(String(b.created_date))),
   }));
 }
 
 function compileQuestionsSummary(spreadsheets) {
   const questions = {};
+  const addSource = (sources, entry) => {
+    const exists = sources.some(
+      (s) => s.file === entry.file && s.report_name === entry.report_name && s.question_number === entry.question_number
+    );
+    if (!exists) sources.push(entry);
+  };
   for (const sheet of spreadsheets) {
-    const { created_date, reports } = sheet;
-    const year = created_date ? String(created_date).slice(0, 4) : null;
+    const { client_name, created_date, reports, source } = sheet;
+    const year = getYear(created_date);
     if (!Array.isArray(reports)) continue;
     for (const report of reports) {
       if (!Array.isArray(report.questions)) continue;
       for (const q of report.questions) {
         const qText = q.question_text || '';
         if (!qText) continue;
-        if (!questions[qText]) {
-          questions[qText] = { question: qText, years: new Set(), subquestions: {} };
+        // Questions with a stable ID are grouped on it, so rewordings share an entry.
+        const qKey = q.question_id || qText;
+        if (!questions[qKey]) {
+          questions[qKey] = {
+            question: qText,
+            question_id: q.question_id,
+            variants: new Set(),
+            years: new Set(),
+            subquestions: {},
+            sources: [],
+          };
         }
-        if (year) questions[qText].years.add(year);
+        questions[qKey].variants.add(qText);
+        if (year) questions[qKey].years.add(year);
+        const sourceEntry = source
+          ? {
+              file: source,
+              client_name,
+              year,
+              report_name: report.report_name,
+              question_number: q.question_number,
+              question_text: qText,
+            }
+          : null;
+        if (sourceEntry) addSource(questions[qKey].sources, sourceEntry);
         const subText = q.sub_question_text;
         if (subText) {
-          if (!questions[qText].subquestions[subText]) {
-            questions[qText].subquestions[subText] = new Set();
+          if (!questions[qKey].subquestions[subText]) {
+            questions[qKey].subquestions[subText] = { years: new Set(), sources: [] };
           }
-          if (year) questions[qText].subquestions[subText].add(year);
+          if (year) questions[qKey].subquestions[subText].years.add(year);
+          if (sourceEntry) addSource(questions[qKey].subquestions[subText].sources, sourceEntry);
         }
       }
     }
   }
   return Object.values(questions).map((q) => ({
     question: q.question,
+    question_id: q.question_id,
+    variants: q.variants.size > 1 ? Array.from(q.variants) : undefined,
     years: Array.from(q.years).sort(),
-    subquestions: Object.entries(q.subquestions).map(([sub, years]) => ({
+    sources: q.sources,
+    subquestions: Object.entries(q.subquestions).map(([sub, entry]) => ({
       subquestion: sub,
-      years: Array.from(years).sort(),
+      years: Array.from(entry.years).sort(),
+      sources: entry.sources,
     })),
   }));
 }
 
 module.exports = {
   SpreadsheetSchema,
+  SpreadsheetValidationError,
   parseSpreadsheetBuffer,
+  parseSpreadsheetFile,
+  sidecarPath,
+  detectFormat,
+  parseDelimited,
+  loadWorkbook,
   normalizeHeader,
+  HEADER_FIELDS,
+  createHeaderMapper,
   mapHeader,
   formatDateToYMD,
+  extractQuestionTags,
+  getYear,
   getUnmatchedHeaders,
+  inspectHeaders,
+  inspectSpreadsheetFile,
   compileCompaniesSummary,
   compileQuestionsSummary,
 };
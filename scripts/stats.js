@@ -0,0 +1,56 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { CliError } = require('./cli');
+const { SpreadsheetSchema } = require('./spreadsheet-to-json');
+const { readProcessedReports } = require('./report-index');
+const { computeWorkbookStats, formatText, formatMarkdown } = require('./report-stats');
+
+// Runs `lintstock stats`.
+// Example (all processed reports, text): lintstock stats
+// Example (one client as Markdown): lintstock stats --client "Acme plc" --format markdown --out output/acme-stats.md
+// Example (specific files as JSON): lintstock stats --format json context/reports/acme-2024.json
+
+function loadWorkbooks(inDir, filePaths) {
+  if (filePaths.length === 0) return readProcessedReports(inDir);
+  return filePaths.map((filePath) => ({
+    ...JSON.parse(fs.readFileSync(filePath, 'utf8')),
+    source: path.basename(filePath),
+  }));
+}
+
+function runStats(options, filePaths, ctx) {
+  let workbooks = loadWorkbooks(options.indir, filePaths);
+  if (options.client) {
+    workbooks = workbooks.filter((wb) => wb.client_name.toLowerCase() === options.client.toLowerCase());
+  }
+  if (workbooks.length === 0) {
+    ctx.warn('No processed reports found. Run `lintstock build reports` first.');
+    return [];
+  }
+
+  let stats;
+  try {
+    for (const wb of workbooks) {
+      SpreadsheetSchema.parse(wb);
+    }
+    stats = workbooks.map(computeWorkbookStats);
+  } catch (err) {
+    throw new CliError(`Error computing statistics: ${err.message}`);
+  }
+
+  let output;
+  if (options.format === 'json') output = JSON.stringify(stats, null, 2);
+  else if (options.format === 'markdown') output = formatMarkdown(stats);
+  else output = formatText(stats);
+
+  if (options.out) {
+    fs.mkdirSync(path.dirname(options.out), { recursive: true });
+    fs.writeFileSync(options.out, output);
+    ctx.success(`Wrote statistics to ${options.out}`);
+  } else {
+    ctx.print(output);
+  }
+  return stats;
+}
+
+module.exports = { runStats };
@@ -0,0 +1,54 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { CliError } = require('./cli');
+const { readProcessedReports } = require('./report-index');
+const { QUESTIONS_SUFFIX, crossCheckSurvey, formatText, formatMarkdown } = require('./survey-questions');
+
+// Runs `lintstock surveys`.
+// Example (every survey): lintstock surveys
+// Example (one client as Markdown): lintstock surveys --client "Acme plc" --format markdown --out output/acme-survey-check.md
+
+function loadSurveys(inDir, filePaths) {
+  if (filePaths.length === 0) {
+    if (!fs.existsSync(inDir)) return [];
+    filePaths = fs
+      .readdirSync(inDir)
+      .filter((file) => file.endsWith(QUESTIONS_SUFFIX))
+      .map((file) => path.join(inDir, file));
+  }
+  return filePaths.map((filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+function runSurveyCheck(options, filePaths, ctx) {
+  const surveys = loadSurveys(options.indir, filePaths);
+  if (surveys.length === 0) {
+    ctx.warn('No processed surveys found. Run `lintstock build surveys` first.');
+    return [];
+  }
+
+  let results;
+  try {
+    const workbooks = readProcessedReports(options['reports-dir']);
+    results = surveys.map((survey) =>
+      crossCheckSurvey(survey, workbooks, { client: options.client, year: options.year, threshold: options.similarity })
+    );
+  } catch (err) {
+    throw new CliError(`Error cross-checking surveys: ${err.message}`);
+  }
+
+  let output;
+  if (options.format === 'json') output = JSON.stringify(results, null, 2);
+  else if (options.format === 'markdown') output = formatMarkdown(results);
+  else output = formatText(results);
+
+  if (options.out) {
+    fs.mkdirSync(path.dirname(options.out), { recursive: true });
+    fs.writeFileSync(options.out, output);
+    ctx.success(`Wrote survey cross-check to ${options.out}`);
+  } else {
+    ctx.print(output);
+  }
+  return results;
+}
+
+module.exports = { runSurveyCheck };
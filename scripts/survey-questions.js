@@ -0,0 +1,367 @@
+const { getYear } = require('./spreadsheet-to-json');
+const { DEFAULT_SIMILARITY_THRESHOLD, normaliseQuestionText, similarity } = require('./question-identity');
+
+// Structured questions from survey questionnaires, and a cross-check of those
+// questions against the processed report workbooks.
+//
+// Surveys are read from the Markdown written by pdf-to-markdown.js, so
+// headings and page markers are already there. Within it:
+// - a heading starts a section, apart from a leading top-level heading when
+//   the front matter has no title, which is then the document title
+// - "1. …", "1) …", "Q1 …" or "Question 1: …" starts a question
+// - "a) …", "(ii) …" or a bullet directly after a question is a sub-question
+// - a line with two or more "<number> = <label>" or "<number> means <label>"
+//   pairs defines a scale, as does a table pairing numbers with labels (one
+//   row per score, or a row of scores above a row of labels). A scale applies
+//   to the questions after it until the next scale; a question with such
+//   pairs in its own text uses those instead
+//
+// A survey file looks like:
+// {
+//   "source": "survey-2024.pdf", "title": "…", "sections": ["…"],
+//   "scales": [{ "min": 1, "max": 5, "labels": { "1": "Strongly disagree", … }, "section": "…" }],
+//   "questions": [{ "number": 1, "text": "…", "section": "…", "page": 1, "scale": { … }, "sub_questions": [{ "label": "a", "text": "…" }] }]
+// }
+
+const QUESTIONS_SUFFIX = '.questions.json';
+const CROSSCHECK_FILE = '_crosscheck.json';
+
+const QUESTION_PATTERN = /^(?:q(?:uestion)?\s*)?(\d+)\s*[.):]\s+(.+)$/i;
+const SUB_QUESTION_PATTERN = /^\(?([a-z]|[ivx]+)[.)]\s+(.+)$/i;
+const BULLET_PATTERN = /^[-*]\s+(.+)$/;
+const SCALE_PAIR_PATTERN = /(\d+)\s*(?:=|:|–|—|-|\bmeans\b)\s*([^,;=\d]+)/g;
+const TABLE_ROW_PATTERN = /^\|(.*)\|$/;
+const TABLE_DIVIDER_PATTERN = /^:?-{3,}:?$/;
+
+function toScale(labels) {
+  const values = Object.keys(labels).map(Number);
+  if (values.length < 2) return null;
+  return { min: Math.min(...values), max: Math.max(...values), labels };
+}
+
+// Returns { min, max, labels } for text such as
+// "Scale: 1 = Strongly disagree, 2 = Disagree, …" or "1 means Strongly
+// disagree … 5 means Strongly agree", or null.
+function parseScaleDefinition(text) {
+  const labels = {};
+  for (const match of String(text).matchAll(SCALE_PAIR_PATTERN)) {
+    const label = match[2]
+      .trim()
+      .replace(/[\s.…)]+$/, '')
+      .replace(/\s+(?:and|or|to)$/i, '');
+    if (label) labels[match[1]] = label;
+  }
+  return toScale(labels);
+}
+
+function tableCells(line) {
+  return TABLE_ROW_PATTERN.exec(line.trim())[1]
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim().replace(/\\\|/g, '|'));
+}
+
+// Returns { min, max, labels } for a Markdown table, as pdf-layout.js writes
+// them, that pairs scores with labels, or null. Scores can run down the first
+// column ("| 1 | Strongly disagree |") or across a row with the labels in the
+// row below.
+function parseScaleTable(block) {
+  const lines = block.trim().split('\n');
+  if (lines.length < 2 || !lines.every((line) => TABLE_ROW_PATTERN.test(line.trim()))) return null;
+  const rows = lines.map(tableCells).filter((cells) => !cells.every((cell) => TABLE_DIVIDER_PATTERN.test(cell)));
+  const isScore = (cell) => /^\d+$/.test(cell);
+
+  const labels = {};
+  for (const [score, label] of rows) {
+    if (isScore(score) && label) labels[score] = label;
+  }
+  if (Object.keys(labels).length >= 2) return toScale(labels);
+
+  const scoreRow = rows.findIndex((cells) => cells.length >= 2 && cells.every(isScore));
+  if (scoreRow === -1 || !rows[scoreRow + 1]) return null;
+  rows[scoreRow].forEach((score, i) => {
+    if (rows[scoreRow + 1][i]) labels[score] = rows[scoreRow + 1][i];
+  });
+  return toScale(labels);
+}
+
+function parseFrontMatter(markdown) {
+  const match = /^---\n([\s\S]*?)\n---\n/.exec(markdown);
+  if (!match) return {};
+  const fields = {};
+  for (const line of match[1].split('\n')) {
+    const field = /^(\w+):\s*(.*)$/.exec(line);
+    if (!field) continue;
+    try {
+      fields[field[1]] = JSON.parse(field[2]);
+    } catch {
+      fields[field[1]] = field[2];
+    }
+  }
+  return fields;
+}
+
+function extractSurveyQuestions(markdown, { source = null } = {}) {
+  const frontMatter = parseFrontMatter(markdown);
+  const body = markdown.replace(/^---\n[\s\S]*?\n---\n/, '');
+  const survey = {
+    source: frontMatter.source || source,
+    title: frontMatter.title || null,
+    sections: [],
+    scales: [],
+    questions: [],
+  };
+
+  let section = null;
+  let scale = null;
+  let page = null;
+  let current = null;
+  let headingSeen = false;
+
+  for (const block of body.split(/\n\s*\n/)) {
+    const text = block.replace(/\s*\n\s*/g, ' ').trim();
+    if (!text) continue;
+
+    const pageMarker = /^<!-- page (\d+) -->$/.exec(text);
+    if (pageMarker) {
+      page = Number(pageMarker[1]);
+      continue;
+    }
+    const heading = /^(#+)\s+(.+)$/.exec(text);
+    if (heading) {
+      current = null;
+      const isTitle = !survey.title && !headingSeen && heading[1] === '#' && survey.questions.length === 0;
+      headingSeen = true;
+      if (isTitle) {
+        survey.title = heading[2];
+        continue;
+      }
+      section = heading[2];
+      survey.sections.push(section);
+      continue;
+    }
+    const definition = parseScaleTable(block) || parseScaleDefinition(text);
+    if (definition && !QUESTION_PATTERN.test(text)) {
+      scale = { ...definition, section };
+      survey.scales.push(scale);
+      current = null;
+      continue;
+    }
+    const question = QUESTION_PATTERN.exec(text);
+    if (question) {
+      current = {
+        number: Number(question[1]),
+        text: question[2].trim(),
+        section,
+        page,
+        scale: parseScaleDefinition(question[2]) || (scale && { min: scale.min, max: scale.max, labels: scale.labels }),
+        sub_questions: [],
+      };
+      survey.questions.push(current);
+      continue;
+    }
+    const subQuestion = SUB_QUESTION_PATTERN.exec(text) || BULLET_PATTERN.exec(text);
+    if (current && subQuestion) {
+      const [label, subText] = subQuestion.length === 3 ? [subQuestion[1], subQuestion[2]] : [null, subQuestion[1]];
+      current.sub_questions.push({ label: label && label.toLowerCase(), text: subText.trim() });
+      continue;
+    }
+    // Anything else (instructions, tables) ends the run of sub-questions.
+    current = null;
+  }
+  return survey;
+}
+
+// --- Cross-checking ---
+
+// The review year a survey belongs to, taken from its file name.
+function surveyYear(survey) {
+  const years = String(survey.source || '').match(/(?:19|20)\d{2}/g);
+  return years && years.length === 1 ? years[0] : null;
+}
+
+// Report questions grouped by report and question ID, or normalised text for
+// questions without one, with their sub-question texts.
+function collectReportQuestions(workbooks) {
+  const questions = new Map();
+  for (const workbook of workbooks) {
+    for (const report of workbook.reports) {
+      for (const q of report.questions) {
+        const question = q.question_id ? `id:${q.question_id}` : `text:${normaliseQuestionText(q.question_text)}`;
+        const key = `${report.report_name.trim().toLowerCase()}|${question}`;
+        if (!questions.has(key)) {
+          questions.set(key, {
+            report_name: report.report_name,
+            question_id: q.question_id,
+            question_number: q.question_number,
+            question_text: q.question_text,
+            sub_questions: new Set(),
+            sources: new Set(),
+          });
+        }
+        const entry = questions.get(key);
+        if (q.sub_question_text) entry.sub_questions.add(q.sub_question_text);
+        if (workbook.source) entry.sources.add(workbook.source);
+      }
+    }
+  }
+  return Array.from(questions.values());
+}
+
+function bestMatch(text, candidates, threshold, textOf) {
+  let best = null;
+  for (const candidate of candidates) {
+    const score = similarity(text, textOf(candidate));
+    if (score >= threshold && (!best || score > best.similarity)) best = { candidate, similarity: score };
+  }
+  return best;
+}
+
+// Cross-checks one survey against the processed workbooks in scope. `client`
+// and `year` narrow the workbooks; the year defaults to the one in the
+// survey's file name. Questions are matched on text, preferring reports whose
+// name appears in the survey section's heading.
+function crossCheckSurvey(survey, workbooks, options = {}) {
+  const { client = null, threshold = DEFAULT_SIMILARITY_THRESHOLD } = options;
+  const year = options.year || surveyYear(survey);
+  const inScope = workbooks.filter(
+    (wb) =>
+      (!client || wb.client_name.toLowerCase() === client.toLowerCase()) &&
+      (!year || getYear(wb.created_date) === String(year))
+  );
+  const reportQuestions = collectReportQuestions(inScope);
+  const matchedReportQuestions = new Set();
+  const issues = [];
+  const questions = [];
+
+  for (const q of survey.questions) {
+    const label = `Q${q.number}${q.section ? ` (${q.section})` : ''}`;
+    const section = (q.section || '').toLowerCase();
+    const inSection = reportQuestions.filter((rq) => section.includes(rq.report_name.toLowerCase()));
+    const match =
+      bestMatch(q.text, inSection, threshold, (rq) => rq.question_text) ||
+      bestMatch(q.text, reportQuestions, threshold, (rq) => rq.question_text);
+    if (!match) {
+      issues.push({
+        code: 'unmatched_question',
+        question_number: q.number,
+        message: `${label} "${q.text}" is not in any report`,
+      });
+      questions.push({ number: q.number, text: q.text, section: q.section, scale: q.scale, match: null });
+      continue;
+    }
+
+    const rq = match.candidate;
+    matchedReportQuestions.add(rq);
+    if (rq.question_number !== null && rq.question_number !== q.number) {
+      issues.push({
+        code: 'number_mismatch',
+        question_number: q.number,
+        message: `${label} is numbered ${rq.question_number} in report "${rq.report_name}"`,
+      });
+    }
+    if (match.similarity < 1) {
+      issues.push({
+        code: 'text_mismatch',
+        question_number: q.number,
+        message: `${label} is worded differently in report "${rq.report_name}": "${rq.question_text}"`,
+      });
+    }
+    const reportSubQuestions = Array.from(rq.sub_questions);
+    for (const sub of q.sub_questions) {
+      if (!bestMatch(sub.text, reportSubQuestions, threshold, (text) => text)) {
+        issues.push({
+          code: 'unmatched_sub_question',
+          question_number: q.number,
+          message: `${label} sub-question "${sub.text}" is not in report "${rq.report_name}"`,
+        });
+      }
+    }
+    questions.push({
+      number: q.number,
+      text: q.text,
+      section: q.section,
+      scale: q.scale,
+      match: {
+        report_name: rq.report_name,
+        question_id: rq.question_id,
+        question_number: rq.question_number,
+        question_text: rq.question_text,
+        similarity: Math.round(match.similarity * 100) / 100,
+      },
+    });
+  }
+
+  const missing = reportQuestions.filter((rq) => !matchedReportQuestions.has(rq));
+  for (const rq of missing) {
+    issues.push({
+      code: 'missing_from_survey',
+      question_number: rq.question_number,
+      message: `Report "${rq.report_name}" Q${rq.question_number} "${rq.question_text}" is not in the survey`,
+    });
+  }
+
+  return {
+    survey: survey.source,
+    title: survey.title,
+    scope: { client, year, workbooks: inScope.map((wb) => wb.source).filter(Boolean) },
+    summary: {
+      survey_questions: survey.questions.length,
+      matched: questions.filter((q) => q.match).length,
+      unmatched: questions.filter((q) => !q.match).length,
+      missing_from_survey: missing.length,
+      issues: issues.length,
+    },
+    questions,
+    issues,
+  };
+}
+
+// --- Formatting ---
+
+function formatText(results) {
+  const lines = [];
+  for (const result of results) {
+    const { summary, scope } = result;
+    const scopeText = [scope.client, scope.year].filter(Boolean).join(' ') || 'all reports';
+    lines.push(`${result.survey} (${scopeText}, ${scope.workbooks.length} workbook(s))`);
+    lines.push(
+      `  ${summary.matched}/${summary.survey_questions} survey questions matched, ${summary.missing_from_survey} report question(s) not in the survey`
+    );
+    for (const issue of result.issues) lines.push(`  - [${issue.code}] ${issue.message}`);
+    lines.push('');
+  }
+  return lines.join('\n').trimEnd();
+}
+
+function formatMarkdown(results) {
+  const lines = ['# Survey cross-check', ''];
+  for (const result of results) {
+    const { summary, scope } = result;
+    lines.push(`## ${result.title || result.survey}`, '');
+    const yearText = scope.year ? ` from ${scope.year}` : '';
+    lines.push(`Source: \`${result.survey}\`. Compared with ${scope.workbooks.length} workbook(s)${yearText}.`, '');
+    lines.push(
+      `${summary.matched} of ${summary.survey_questions} survey questions matched; ${summary.missing_from_survey} report question(s) are not in the survey.`,
+      ''
+    );
+    if (result.issues.length > 0) {
+      lines.push('| Issue | Question | Details |', '| --- | --- | --- |');
+      for (const issue of result.issues) {
+        lines.push(`| ${issue.code} | ${issue.question_number ?? ''} | ${issue.message.replace(/\|/g, '\\|')} |`);
+      }
+      lines.push('');
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  QUESTIONS_SUFFIX,
+  CROSSCHECK_FILE,
+  parseScaleDefinition,
+  extractSurveyQuestions,
+  surveyYear,
+  crossCheckSurvey,
+  formatText,
+  formatMarkdown,
+};
@@ -0,0 +1,67 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { CliError, EXIT_CODES } = require('./cli');
+const { readProcessedReports } = require('./report-index');
+const { loadLexicon } = require('./comment-lexicon');
+const { analyseThemes, formatText, formatMarkdown } = require('./report-themes');
+
+// Runs `lintstock themes`.
+// Example (every client): lintstock themes
+// Example (one client as Markdown): lintstock themes --client "Acme plc" --format markdown --out output/acme-themes.md
+// Example (one question, tighter themes): lintstock themes --client "Acme plc" --report "Board Dynamics" --question 3 --similarity 0.35
+
+function runThemes(options, filePaths, ctx) {
+  if (options.similarity <= 0 || options.similarity > 1) {
+    throw new CliError('--similarity must be greater than 0 and at most 1.', EXIT_CODES.USAGE);
+  }
+  if (options['min-size'] < 1) {
+    throw new CliError('--min-size must be at least 1.', EXIT_CODES.USAGE);
+  }
+
+  const workbooks =
+    filePaths.length > 0
+      ? filePaths.map((filePath) => ({
+          ...JSON.parse(fs.readFileSync(filePath, 'utf8')),
+          source: path.basename(filePath),
+        }))
+      : readProcessedReports(options.indir);
+  if (workbooks.length === 0) {
+    ctx.warn('No processed reports found. Run `lintstock build reports` first.');
+    return [];
+  }
+
+  let results;
+  try {
+    results = analyseThemes(
+      workbooks,
+      { clients: options.client, years: options.years, reports: options.report, questions: options.question },
+      {
+        lexicon: loadLexicon(options.lexicon),
+        similarity: options.similarity,
+        minSize: options['min-size'],
+        keywords: options.keywords,
+      }
+    );
+  } catch (err) {
+    throw new CliError(`Error analysing comments: ${err.message}`);
+  }
+  if (results.length === 0) {
+    ctx.warn('No comments found for the selected clients, years, reports and questions.');
+  }
+
+  let output;
+  if (options.format === 'json') output = JSON.stringify(results, null, 2);
+  else if (options.format === 'markdown') output = formatMarkdown(results);
+  else output = formatText(results);
+
+  if (options.out) {
+    fs.mkdirSync(path.dirname(options.out), { recursive: true });
+    fs.writeFileSync(options.out, output);
+    ctx.success(`Wrote comment themes to ${options.out}`);
+  } else if (results.length > 0) {
+    ctx.print(output);
+  }
+  return results;
+}
+
+module.exports = { runThemes };
@@ -0,0 +1,37 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+// Machine-readable report of the issues found while building reports. It is
+// written next to the processed JSON as _validation.json.
+
+const VALIDATION_REPORT = '_validation.json';
+
+function summariseIssues(issues) {
+  const errors = issues.filter((i) => i.level === 'error').length;
+  return { errors, warnings: issues.length - errors, workbooks: new Set(issues.map((i) => i.workbook)).size };
+}
+
+// Turns an error thrown while processing a workbook into issues.
+function issuesFromError(err, workbook) {
+  if (Array.isArray(err.issues)) return err.issues.map((issue) => ({ workbook, ...issue }));
+  return [{ workbook, level: 'error', code: 'parse_error', message: err.message, sheet: null, row: null }];
+}
+
+function writeValidationReport(dir, issues) {
+  const filePath = path.join(dir, VALIDATION_REPORT);
+  const report = { generated_at: new Date().toISOString(), summary: summariseIssues(issues), issues };
+  fs.writeFileSync(filePath, JSON.stringify(report, null, 2));
+  return filePath;
+}
+
+function formatIssueLocation(issue) {
+  return [issue.workbook, issue.sheet, issue.row && `row ${issue.row}`].filter(Boolean).join(' › ');
+}
+
+module.exports = {
+  VALIDATION_REPORT,
+  summariseIssues,
+  issuesFromError,
+  writeValidationReport,
+  formatIssueLocation,
+};
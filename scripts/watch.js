@@ -0,0 +1,140 @@
+const { execFile } = require('node:child_process');
+const fs = require('node:fs');
+const path = require('node:path');
+const chalk = require('chalk');
+const chokidar = require('chokidar');
+
+// Watches data/reports, data/surveys and data/proposals in the current
+// directory and rebuilds the matching context files when sources are added,
+// changed or deleted. Changes are debounced per folder and only the affected
+// files are converted; the converters' build manifests take care of removing
+// outputs of deleted files.
+//
+// Example: lintstock watch
+// Example (longer debounce for slow network drives): lintstock watch --debounce 3000
+
+const CLI = path.join(__dirname, '..', 'bin', 'lintstock.js');
+const SIDECAR_SUFFIX = '.details.json';
+
+const SOURCES = [
+  {
+    name: 'reports',
+    dir: 'data/reports',
+    extensions: ['.xlsx', '.xls', '.csv', '.tsv'],
+    command: ['build', 'reports'],
+  },
+  {
+    name: 'surveys',
+    dir: 'data/surveys',
+    extensions: ['.pdf'],
+    command: ['build', 'surveys'],
+  },
+  {
+    name: 'proposals',
+    dir: 'data/proposals',
+    extensions: ['.pdf'],
+    command: ['build', 'proposals'],
+  },
+];
+
+function timestamp() {
+  return new Date().toTimeString().slice(0, 8);
+}
+
+function status(source, colour, message) {
+  console.log(`${chalk.gray(`[${timestamp()}]`)} ${chalk.bold(source.name)}: ${colour(message)}`);
+}
+
+// Maps a changed file to the source file it affects, or null if it is not a
+// source. A details sidecar affects the data file it sits next to.
+function sourceFileFor(source, filePath) {
+  if (filePath.endsWith(SIDECAR_SUFFIX)) {
+    const base = filePath.slice(0, -SIDECAR_SUFFIX.length);
+    const candidates = source.extensions.map((ext) => `${base}${ext}`);
+    return candidates.find((candidate) => fs.existsSync(path.resolve(candidate))) || null;
+  }
+  return source.extensions.includes(path.extname(filePath).toLowerCase()) ? filePath : null;
+}
+
+// Converters run quietly, so anything on stderr is an error message and a
+// non-zero exit code means the build failed.
+function runConverter(source, files) {
+  const args = [CLI, ...source.command, '--quiet', ...files];
+  return new Promise((resolve) => {
+    execFile(process.execPath, args, { cwd: process.cwd(), maxBuffer: 64 * 1024 * 1024 }, (err, stdout, stderr) => {
+      const errors = String(stderr)
+        .split('\n')
+        .filter((line) => line.trim());
+      if (err && errors.length === 0) errors.push(err.message);
+      resolve({ ok: !err, errors });
+    });
+  });
+}
+
+// Builds run one at a time so converters never write to the same files at once.
+let queue = Promise.resolve();
+
+function createFolderWatcher(source, debounceMs) {
+  const changed = new Set();
+  const removed = new Set();
+  let timer = null;
+
+  async function flush() {
+    const files = Array.from(changed);
+    const deleted = Array.from(removed);
+    changed.clear();
+    removed.clear();
+
+    const names = [...files, ...deleted].map((f) => path.basename(f)).join(', ');
+    status(source, chalk.blue, `rebuilding (${names})`);
+    const result = await runConverter(source, files);
+    if (result.ok) {
+      const parts = [];
+      if (files.length > 0) parts.push(`converted ${files.length}`);
+      if (deleted.length > 0) parts.push(`removed ${deleted.length}`);
+      status(source, chalk.green, `${parts.join(', ')} ✓`);
+    } else {
+      status(source, chalk.red, 'failed ✗');
+      for (const line of result.errors) console.log(chalk.red(`  ${line.trim()}`));
+    }
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      queue = queue.then(flush);
+    }, debounceMs);
+  }
+
+  return (event, filePath) => {
+    const relative = path.relative(process.cwd(), filePath);
+    const sourceFile = sourceFileFor(source, relative);
+    if (!sourceFile) return;
+    if (event === 'unlink' && sourceFile === relative) {
+      changed.delete(sourceFile);
+      removed.add(sourceFile);
+    } else {
+      removed.delete(sourceFile);
+      changed.add(sourceFile);
+    }
+    schedule();
+  };
+}
+
+// Runs `lintstock watch`. Returns once the watchers are set up; they keep the
+// process running until it is stopped.
+function startWatching(options, ctx) {
+  for (const source of SOURCES) {
+    const watcher = chokidar.watch(path.resolve(source.dir), {
+      ignoreInitial: true,
+      awaitWriteFinish: { stabilityThreshold: 500, pollInterval: 100 },
+    });
+    watcher.on('all', createFolderWatcher(source, options.debounce));
+    watcher.on('error', (err) => status(source, chalk.red, `watch error: ${err.message}`));
+  }
+
+  ctx.info(`Watching ${SOURCES.map((s) => s.dir).join(', ')} for changes. Press Ctrl+C to stop.`);
+  return { watching: SOURCES.map((s) => s.dir) };
+}
+
+module.exports = { startWatching };
@@ -0,0 +1,52 @@
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { test } = require('node:test');
+
+const CLI = path.join(__dirname, '..', 'bin', 'lintstock.js');
+
+// Every spelling of every name in the workbook below, including the ones
+// that only appear in answers and in rows that raise validation warnings.
+const REAL_NAMES = ['Jonathan Harker', 'J. Harker', 'Harker', 'Mina Murray', 'Murray', 'Quincey Morris', 'Morris'];
+
+const WORKBOOK = `Client Name,Kappa
+Created,2025-03-02
+Report Name,Board Dynamics
+Question Number,Question Text,Respondent,Position,Response,Comment
+1,How effective is the Chair in leading the board?,Jonathan Harker,Chair,4,
+1,How effective is the Chair in leading the board?,Mina Murray,Senior Independent Director,Ask Jonathan Harker,
+1,How effective is the Chair in leading the board?,Quincey Morris,Chief Executive,5,Mina Murray leads well
+2,Rate the quality of debate,J. Harker,,3,
+2,Rate the quality of debate,Quincey Morris,Chief Executive Officer,4,
+`;
+
+function listFiles(dir) {
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .flatMap((entry) => (entry.isDirectory() ? listFiles(path.join(dir, entry.name)) : [path.join(dir, entry.name)]));
+}
+
+test('a pseudonymised build writes no real names under context/', () => {
+  const project = fs.mkdtempSync(path.join(os.tmpdir(), 'lintstock-pseudonymise-'));
+  try {
+    fs.mkdirSync(path.join(project, 'data', 'reports'), { recursive: true });
+    fs.writeFileSync(path.join(project, 'data', 'reports', 'kappa-2025.csv'), WORKBOOK);
+    execFileSync(process.execPath, [CLI, 'build', 'reports', '--pseudonymise'], { cwd: project, stdio: 'pipe' });
+
+    const files = listFiles(path.join(project, 'context'));
+    assert.ok(
+      files.some((file) => file.endsWith('kappa-2025.json')),
+      'the workbook was not built'
+    );
+    for (const file of files) {
+      const content = fs.readFileSync(file, 'utf8');
+      for (const name of REAL_NAMES) {
+        assert.ok(!content.includes(name), `${path.relative(project, file)} contains "${name}"`);
+      }
+    }
+  } finally {
+    fs.rmSync(project, { recursive: true, force: true });
+  }
+});